@@ -0,0 +1,151 @@
+/**
+ * Controle de admissão de conexões TCP
+ * Limita conexões simultâneas (global e por IP) e a taxa de mensagens por
+ * conexão; o servidor bane temporariamente IPs que excedem a taxa antes da
+ * autenticação
+ */
+class AdmissionControl {
+  /**
+   * options.maxConnections: conexões simultâneas no servidor (0 = sem limite)
+   * options.maxConnectionsPerIp: conexões simultâneas por IP (0 = sem limite)
+   * options.messageRateLimit: mensagens por janela em uma conexão (0 = sem limite)
+   * options.messageRateWindow: tamanho (ms) da janela de taxa
+   * options.banDuration: tempo (ms) de banimento do IP após exceder a taxa
+   *   antes da autenticação
+   */
+  constructor(options = {}) {
+    this.maxConnections =
+      options.maxConnections !== undefined ? options.maxConnections : 1000;
+    this.maxConnectionsPerIp =
+      options.maxConnectionsPerIp !== undefined
+        ? options.maxConnectionsPerIp
+        : 100;
+    this.messageRateLimit =
+      options.messageRateLimit !== undefined ? options.messageRateLimit : 120;
+    this.messageRateWindow = options.messageRateWindow || 60000;
+    this.banDuration = options.banDuration || 600000;
+
+    this.activeConnections = 0;
+    this.connectionsByIp = new Map(); // Map<ip, conexões ativas>
+    this.bans = new Map(); // Map<ip, fim do banimento (timestamp)>
+    this.stats = { accepted: 0, rejected: 0, banned: 0 };
+  }
+
+  /**
+   * Decidir se uma nova conexão do IP pode ser aceita
+   * Retorna { allowed, reason } e registra a conexão quando aceita
+   */
+  admit(ip) {
+    let reason = null;
+
+    if (this.isBanned(ip)) {
+      reason = "banned";
+    } else if (
+      this.maxConnections > 0 &&
+      this.activeConnections >= this.maxConnections
+    ) {
+      reason = "max_connections";
+    } else if (
+      this.maxConnectionsPerIp > 0 &&
+      (this.connectionsByIp.get(ip) || 0) >= this.maxConnectionsPerIp
+    ) {
+      reason = "max_connections_per_ip";
+    }
+
+    if (reason) {
+      this.stats.rejected++;
+      return { allowed: false, reason };
+    }
+
+    this.activeConnections++;
+    this.connectionsByIp.set(ip, (this.connectionsByIp.get(ip) || 0) + 1);
+    this.stats.accepted++;
+
+    return { allowed: true, reason: null };
+  }
+
+  /**
+   * Liberar a vaga de uma conexão aceita
+   */
+  release(ip) {
+    this.activeConnections = Math.max(0, this.activeConnections - 1);
+
+    const count = (this.connectionsByIp.get(ip) || 0) - 1;
+    if (count > 0) {
+      this.connectionsByIp.set(ip, count);
+    } else {
+      this.connectionsByIp.delete(ip);
+    }
+  }
+
+  /**
+   * Contabilizar mensagens de uma conexão na janela atual
+   * rate é o estado da conexão ({ windowStart, count }), atualizado aqui
+   * Retorna false quando o limite foi excedido
+   */
+  allowMessages(rate, count = 1) {
+    if (!this.messageRateLimit) {
+      return true;
+    }
+
+    const now = Date.now();
+    if (now - rate.windowStart >= this.messageRateWindow) {
+      rate.windowStart = now;
+      rate.count = 0;
+    }
+
+    rate.count += count;
+    return rate.count <= this.messageRateLimit;
+  }
+
+  /**
+   * Banir um IP temporariamente
+   */
+  ban(ip) {
+    const now = Date.now();
+
+    // Remover banimentos vencidos para o mapa não crescer indefinidamente
+    for (const [bannedIp, until] of this.bans) {
+      if (until <= now) {
+        this.bans.delete(bannedIp);
+      }
+    }
+
+    this.bans.set(ip, now + this.banDuration);
+    this.stats.banned++;
+  }
+
+  /**
+   * Verificar se o IP está banido
+   */
+  isBanned(ip) {
+    const until = this.bans.get(ip);
+
+    if (!until) {
+      return false;
+    }
+
+    if (until <= Date.now()) {
+      this.bans.delete(ip);
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Estatísticas de admissão
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      activeConnections: this.activeConnections,
+      activeBans: [...this.bans.values()].filter((until) => until > Date.now())
+        .length,
+      maxConnections: this.maxConnections,
+      maxConnectionsPerIp: this.maxConnectionsPerIp,
+    };
+  }
+}
+
+module.exports = { AdmissionControl };
@@ -0,0 +1,343 @@
+/**
+ * Catálogo declarativo de comandos por protocolo
+ * Define quais comandos cada protocolo aceita e o schema dos parâmetros,
+ * usado para validar comandos antes do envio e para montar a interface
+ */
+
+/**
+ * Definição dos comandos e seus parâmetros
+ * Tipos: integer, number, string, boolean
+ * raw: texto livre (sem bloqueio dos caracteres delimitadores)
+ * validate: verificação adicional entre parâmetros, retorna a mensagem de erro
+ */
+const COMMANDS = {
+  locate: {
+    description: "Solicitar posição atual",
+    parameters: {},
+  },
+  reboot: {
+    description: "Reiniciar dispositivo",
+    parameters: {},
+  },
+  factory_reset: {
+    description: "Restaurar configuração de fábrica",
+    parameters: {},
+  },
+  status: {
+    description: "Consultar estado do dispositivo",
+    parameters: {},
+  },
+  engine_stop: {
+    description: "Bloquear motor",
+    parameters: {
+      password: { type: "string", pattern: /^\d{6}$/ },
+    },
+  },
+  engine_resume: {
+    description: "Desbloquear motor",
+    parameters: {
+      password: { type: "string", pattern: /^\d{6}$/ },
+    },
+  },
+  arm: {
+    description: "Ativar alarme",
+    parameters: {},
+  },
+  disarm: {
+    description: "Desativar alarme",
+    parameters: {},
+  },
+  set_interval: {
+    description: "Intervalo de envio de posições (segundos)",
+    parameters: {
+      interval: { type: "integer", required: true, min: 5, max: 86400 },
+    },
+  },
+  set_apn: {
+    description: "Configurar APN da operadora",
+    parameters: {
+      apn: { type: "string", required: true, maxLength: 64 },
+      user: { type: "string", maxLength: 32 },
+      password: { type: "string", maxLength: 32 },
+    },
+  },
+  set_server: {
+    description: "Configurar servidor de destino",
+    parameters: {
+      host: {
+        type: "string",
+        required: true,
+        maxLength: 64,
+        pattern: /^[A-Za-z0-9.-]+$/,
+      },
+      port: { type: "integer", required: true, min: 1, max: 65535 },
+    },
+  },
+  set_timezone: {
+    description: "Fuso horário (horas em relação ao UTC)",
+    parameters: {
+      offset: { type: "number", required: true, min: -12, max: 14 },
+    },
+  },
+  overspeed: {
+    description: "Alarme de excesso de velocidade (km/h)",
+    parameters: {
+      speed: { type: "integer", required: true, min: 1, max: 255 },
+    },
+  },
+  custom: {
+    description: "Comando livre do fabricante (texto ou hexadecimal)",
+    parameters: {
+      payload: { type: "string", required: true, maxLength: 1024, raw: true },
+      encoding: { type: "string", enum: ["text", "hex"] },
+    },
+    validate: ({ payload, encoding }) => {
+      if (encoding === "hex" && !/^([0-9a-fA-F]{2})+$/.test(payload)) {
+        return 'Parameter "payload" must be an even-length hex string';
+      }
+      if (encoding !== "hex" && !/^[\x20-\x7e]+$/.test(payload)) {
+        return 'Parameter "payload" must be printable ASCII text';
+      }
+      return null;
+    },
+  },
+};
+
+/**
+ * Comandos suportados por protocolo
+ */
+const PROTOCOL_COMMANDS = {
+  gt06: [
+    "locate",
+    "reboot",
+    "factory_reset",
+    "engine_stop",
+    "engine_resume",
+    "set_interval",
+    "set_apn",
+    "set_server",
+    "set_timezone",
+    "overspeed",
+    "custom",
+  ],
+  tk103: [
+    "locate",
+    "engine_stop",
+    "engine_resume",
+    "arm",
+    "disarm",
+    "set_interval",
+    "overspeed",
+    "custom",
+  ],
+  gps303: [
+    "locate",
+    "engine_stop",
+    "engine_resume",
+    "arm",
+    "disarm",
+    "set_interval",
+    "overspeed",
+    "custom",
+  ],
+  h02: ["reboot", "engine_stop", "engine_resume", "set_interval", "custom"],
+  teltonika: [
+    "locate",
+    "reboot",
+    "factory_reset",
+    "engine_stop",
+    "engine_resume",
+    "set_interval",
+    "set_apn",
+    "set_server",
+    "status",
+    "custom",
+  ],
+  jt808: [
+    "locate",
+    "reboot",
+    "factory_reset",
+    "engine_stop",
+    "engine_resume",
+    "set_interval",
+    "set_apn",
+    "set_server",
+    "overspeed",
+  ],
+  generic: [],
+};
+
+class CommandCatalog {
+  constructor(commands = COMMANDS, protocolCommands = PROTOCOL_COMMANDS) {
+    this.commands = commands;
+    this.protocolCommands = protocolCommands;
+  }
+
+  /**
+   * Verificar se o protocolo suporta o comando
+   */
+  supports(protocol, command) {
+    return (this.protocolCommands[protocol] || []).includes(command);
+  }
+
+  /**
+   * Validar comando e parâmetros
+   * protocol = null valida somente o schema (protocolo ainda desconhecido)
+   * Retorna { valid, error } e os parâmetros normalizados
+   */
+  validate(protocol, command, parameters = {}) {
+    const definition = this.commands[command];
+
+    if (!definition) {
+      return { valid: false, error: `Unknown command "${command}"` };
+    }
+
+    if (protocol && !this.supports(protocol, command)) {
+      return {
+        valid: false,
+        error: `Command "${command}" is not supported by protocol ${protocol}`,
+      };
+    }
+
+    if (
+      parameters === null ||
+      typeof parameters !== "object" ||
+      Array.isArray(parameters)
+    ) {
+      return { valid: false, error: "Parameters must be an object" };
+    }
+
+    for (const name of Object.keys(parameters)) {
+      if (!definition.parameters[name]) {
+        return {
+          valid: false,
+          error: `Unknown parameter "${name}" for command "${command}"`,
+        };
+      }
+    }
+
+    const normalized = {};
+
+    for (const [name, schema] of Object.entries(definition.parameters)) {
+      const value = parameters[name];
+
+      if (value === undefined || value === null || value === "") {
+        if (schema.required) {
+          return {
+            valid: false,
+            error: `Missing required parameter "${name}" for command "${command}"`,
+          };
+        }
+        continue;
+      }
+
+      const result = this.validateParameter(name, schema, value);
+      if (result.error) {
+        return { valid: false, error: result.error };
+      }
+
+      normalized[name] = result.value;
+    }
+
+    const error = definition.validate ? definition.validate(normalized) : null;
+    if (error) {
+      return { valid: false, error };
+    }
+
+    return { valid: true, parameters: normalized };
+  }
+
+  /**
+   * Validar e converter um parâmetro conforme o schema
+   */
+  validateParameter(name, schema, value) {
+    let converted = value;
+
+    switch (schema.type) {
+      case "integer":
+      case "number":
+        converted = typeof value === "string" ? Number(value) : value;
+        if (typeof converted !== "number" || !Number.isFinite(converted)) {
+          return { error: `Parameter "${name}" must be a ${schema.type}` };
+        }
+        if (schema.type === "integer" && !Number.isInteger(converted)) {
+          return { error: `Parameter "${name}" must be an integer` };
+        }
+        if (schema.min !== undefined && converted < schema.min) {
+          return { error: `Parameter "${name}" must be >= ${schema.min}` };
+        }
+        if (schema.max !== undefined && converted > schema.max) {
+          return { error: `Parameter "${name}" must be <= ${schema.max}` };
+        }
+        break;
+      case "boolean":
+        if (typeof value !== "boolean") {
+          return { error: `Parameter "${name}" must be a boolean` };
+        }
+        break;
+      default:
+        if (typeof value !== "string" && typeof value !== "number") {
+          return { error: `Parameter "${name}" must be a string` };
+        }
+        converted = String(value);
+        if (schema.maxLength && converted.length > schema.maxLength) {
+          return {
+            error: `Parameter "${name}" must have at most ${schema.maxLength} characters`,
+          };
+        }
+        if (schema.pattern && !schema.pattern.test(converted)) {
+          return { error: `Parameter "${name}" has an invalid format` };
+        }
+        // Vírgula, ponto e vírgula e "#" delimitam campos nos protocolos texto
+        if (!schema.raw && /[,;#*]/.test(converted)) {
+          return {
+            error: `Parameter "${name}" contains reserved characters`,
+          };
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(converted)) {
+      return {
+        error: `Parameter "${name}" must be one of: ${schema.enum.join(", ")}`,
+      };
+    }
+
+    return { value: converted };
+  }
+
+  /**
+   * Comandos disponíveis para um protocolo, em formato serializável
+   */
+  getCommands(protocol) {
+    return (this.protocolCommands[protocol] || []).map((command) => ({
+      command,
+      description: this.commands[command].description,
+      parameters: Object.fromEntries(
+        Object.entries(this.commands[command].parameters).map(
+          ([name, schema]) => [
+            name,
+            {
+              ...schema,
+              required: Boolean(schema.required),
+              pattern: schema.pattern ? schema.pattern.source : undefined,
+            },
+          ]
+        )
+      ),
+    }));
+  }
+
+  /**
+   * Catálogo completo, por protocolo
+   */
+  getCatalog() {
+    return Object.fromEntries(
+      Object.keys(this.protocolCommands).map((protocol) => [
+        protocol,
+        this.getCommands(protocol),
+      ])
+    );
+  }
+}
+
+module.exports = { CommandCatalog, COMMANDS, PROTOCOL_COMMANDS };
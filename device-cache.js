@@ -0,0 +1,203 @@
+const EventEmitter = require("events");
+
+/**
+ * Cache IMEI → dispositivo (id, empresa, status e configurações)
+ * Entradas expiram por TTL e são invalidadas pelo canal LISTEN/NOTIFY
+ * "device_changes", disparado quando um dispositivo é criado, alterado ou
+ * removido. IMEIs desconhecidos também ficam em cache (por negativeTtl), para
+ * que reconexões seguidas não consultem o banco a cada tentativa
+ *
+ * Eventos: "invalidated" (imei) e "cleared"
+ */
+class DeviceCache extends EventEmitter {
+  /**
+   * options.ttl: validade (ms) de uma entrada
+   * options.negativeTtl: validade (ms) de um IMEI desconhecido (0 desativa)
+   * options.channel: canal LISTEN/NOTIFY de invalidação
+   */
+  constructor(database, options = {}) {
+    super();
+
+    this.database = database;
+    this.ttl = options.ttl || 300000; // 5 minutos
+    this.negativeTtl =
+      options.negativeTtl !== undefined ? options.negativeTtl : 30000;
+    this.channel = options.channel || "device_changes";
+    this.entries = new Map(); // Map<imei, { device, expiresAt }>, device null = desconhecido
+    this.prunedAt = 0; // Última remoção de entradas vencidas
+    this.loading = new Map(); // Map<imei, Promise>, evita consultas duplicadas
+    this.version = 0; // Incrementado a cada invalidação
+    this.stats = { hits: 0, misses: 0, invalidations: 0 };
+  }
+
+  /**
+   * Escutar o canal de invalidação
+   * Ao reconectar o cache é limpo, pois notificações podem ter sido perdidas
+   */
+  async start() {
+    await this.database.listen(
+      this.channel,
+      (payload) => this.handleNotification(payload),
+      () => this.clear()
+    );
+  }
+
+  /**
+   * Parar de escutar o canal de invalidação
+   */
+  async stop() {
+    await this.database.unlisten(this.channel);
+  }
+
+  /**
+   * Obter dispositivo pelo IMEI, consultando o banco se necessário
+   * details segue para a política de provisionamento de IMEIs desconhecidos
+   */
+  async get(imei, details = {}) {
+    const entry = this.entries.get(imei);
+
+    if (entry && entry.expiresAt > Date.now()) {
+      this.stats.hits++;
+      return entry.device;
+    }
+
+    this.stats.misses++;
+    return await this.load(imei, () =>
+      this.database.getDeviceByImei(imei, details)
+    );
+  }
+
+  /**
+   * Recarregar dispositivo do banco, sem provisionamento
+   * Retorna null se o dispositivo foi removido
+   */
+  async refresh(imei) {
+    this.entries.delete(imei);
+    return await this.load(imei, () => this.database.findDeviceByImei(imei));
+  }
+
+  /**
+   * Consultar o banco uma única vez por IMEI e guardar o resultado
+   */
+  async load(imei, query) {
+    if (this.loading.has(imei)) {
+      return await this.loading.get(imei);
+    }
+
+    const version = this.version;
+
+    const promise = (async () => {
+      const record = await query();
+      if (!record) {
+        if (this.negativeTtl > 0 && version === this.version) {
+          this.prune();
+          this.entries.set(imei, {
+            device: null,
+            expiresAt: Date.now() + this.negativeTtl,
+          });
+        }
+        return null;
+      }
+
+      const device = {
+        id: record.id,
+        imei: record.imei,
+        companyId: record.company_id,
+        active: record.active !== false,
+        settings: record.settings || {},
+      };
+
+      // Invalidação durante a consulta: o resultado pode estar desatualizado
+      if (version === this.version) {
+        this.entries.set(imei, { device, expiresAt: Date.now() + this.ttl });
+      }
+      return device;
+    })();
+
+    this.loading.set(imei, promise);
+    try {
+      return await promise;
+    } finally {
+      if (this.loading.get(imei) === promise) {
+        this.loading.delete(imei);
+      }
+    }
+  }
+
+  /**
+   * Remover entradas vencidas, no máximo uma vez por negativeTtl
+   * IMEIs desconhecidos variam e não seriam consultados de novo
+   */
+  prune() {
+    const now = Date.now();
+    if (now - this.prunedAt < this.negativeTtl) {
+      return;
+    }
+
+    this.prunedAt = now;
+    for (const [imei, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(imei);
+      }
+    }
+  }
+
+  /**
+   * Tratar notificação do canal: IMEI, JSON { imei } ou "*" para tudo
+   */
+  handleNotification(payload) {
+    let imei = payload ? payload.trim() : "";
+
+    if (imei.startsWith("{")) {
+      try {
+        imei = JSON.parse(imei).imei || "";
+      } catch (error) {
+        console.error("Invalid device change notification:", payload);
+        return;
+      }
+    }
+
+    if (!imei || imei === "*") {
+      this.clear();
+      return;
+    }
+
+    this.invalidate(imei);
+  }
+
+  /**
+   * Remover um IMEI do cache
+   */
+  invalidate(imei) {
+    this.version++;
+    this.entries.delete(imei);
+    this.loading.delete(imei);
+    this.stats.invalidations++;
+    this.emit("invalidated", imei);
+  }
+
+  /**
+   * Remover todas as entradas
+   */
+  clear() {
+    this.version++;
+    this.entries.clear();
+    this.loading.clear();
+    this.stats.invalidations++;
+    this.emit("cleared");
+  }
+
+  /**
+   * Estatísticas do cache
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      size: this.entries.size,
+      ttl: this.ttl,
+      negativeTtl: this.negativeTtl,
+    };
+  }
+}
+
+module.exports = { DeviceCache };
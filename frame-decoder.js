@@ -0,0 +1,509 @@
+/**
+ * Camada de framing: extrai frames completos do fluxo TCP antes do parse
+ * Cada protocolo usa uma estratégia (delimitador, tamanho no cabeçalho ou
+ * escape) e bytes que não formam frame válido são descartados até o próximo
+ * marcador de início
+ */
+
+/**
+ * CRC-16 refletido, usado para validar candidatos a frame durante a
+ * ressincronização (CRC-ITU do GT06 e CRC-16/IBM do Teltonika)
+ */
+function crc16(data, initial, polynomial, finalXor) {
+  let crc = initial;
+  for (let i = 0; i < data.length; i++) {
+    crc ^= data[i];
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 1 ? (crc >>> 1) ^ polynomial : crc >>> 1;
+    }
+  }
+  return (crc ^ finalXor) & 0xffff;
+}
+
+/**
+ * GT06: CRC-ITU do campo de tamanho até o serial, antes dos stop bits
+ */
+function validGt06Crc(frame) {
+  const crcOffset = frame.length - 4;
+  return (
+    crc16(frame.slice(2, crcOffset), 0xffff, 0x8408, 0xffff) ===
+    frame.readUInt16BE(crcOffset)
+  );
+}
+
+/**
+ * Teltonika AVL: CRC-16/IBM dos dados, nos 4 bytes finais
+ */
+function validTeltonikaCrc(frame) {
+  const crcOffset = frame.length - 4;
+  return (
+    crc16(frame.slice(8, crcOffset), 0x0000, 0xa001, 0x0000) ===
+    frame.readUInt32BE(crcOffset)
+  );
+}
+
+/**
+ * H02 binário: campos BCD com dígitos válidos e data/hora e coordenadas
+ * dentro da faixa (id, hora, data e latitude nos bytes 1-15, longitude nos
+ * bytes 17-21 antes do nibble de flags, velocidade e curso nos bytes 22-24)
+ */
+function validH02Binary(frame) {
+  const bcd = frame.toString("hex", 1, 25);
+  const digits =
+    bcd.substring(0, 30) + bcd.substring(32, 41) + bcd.substring(42, 48);
+
+  if (!/^\d+$/.test(digits)) {
+    return false;
+  }
+
+  const field = (start, end) => parseInt(bcd.substring(start, end), 10);
+  const day = field(16, 18);
+  const month = field(18, 20);
+
+  return (
+    field(10, 12) <= 23 &&
+    field(12, 14) <= 59 &&
+    field(14, 16) <= 59 &&
+    day >= 1 &&
+    day <= 31 &&
+    month >= 1 &&
+    month <= 12 &&
+    field(22, 24) <= 90 &&
+    field(24, 26) <= 59 &&
+    field(32, 35) <= 180 &&
+    field(35, 37) <= 59
+  );
+}
+
+/**
+ * Base dos framers de fluxo
+ * frameLength(buffer, offset) retorna: > 0 frame completo, 0 incompleto,
+ * -1 início inválido (descarta 1 byte e ressincroniza)
+ */
+class StreamFramer {
+  constructor(options = {}) {
+    this.startMarkers = (options.startMarkers || []).map((marker) =>
+      Buffer.from(marker)
+    );
+    this.startPattern = options.startPattern || null;
+    this.maxLength = options.maxLength || 1024;
+
+    // Bytes mantidos no fim do buffer com padrão de início (regex) quando
+    // nenhum início foi encontrado
+    this.tailLength = options.tailLength || 0;
+  }
+
+  /**
+   * Extrair todos os frames completos do buffer
+   */
+  extract(buffer) {
+    const frames = [];
+    const discarded = [];
+    let offset = 0;
+
+    const discard = (end) => {
+      if (end > offset) {
+        discarded.push(buffer.slice(offset, end));
+        offset = end;
+      }
+    };
+
+    while (offset < buffer.length) {
+      const start = this.findStart(buffer, offset);
+
+      if (start === -1) {
+        discard(buffer.length - this.partialStartLength(buffer, offset));
+        break;
+      }
+
+      discard(start);
+
+      const length = this.frameLength(buffer, offset);
+
+      if (length > 0) {
+        frames.push(buffer.slice(offset, offset + length));
+        offset += length;
+      } else if (length === 0 && buffer.length - offset <= this.maxLength) {
+        // Marcador falso (ex: lixo terminando em 0x78 0x78): antes de aguardar,
+        // procurar um frame completo e válido em qualquer marcador seguinte
+        const next = this.findCompleteFrame(buffer, offset + 1);
+        if (next !== -1) {
+          discard(next);
+          continue;
+        }
+
+        // Frame incompleto, aguardar mais dados
+        break;
+      } else {
+        // Início inválido ou frame grande demais: procurar o próximo marcador
+        discard(offset + 1);
+      }
+    }
+
+    return {
+      frames,
+      remaining: buffer.slice(offset),
+      discarded,
+      dropped: discarded.reduce((total, chunk) => total + chunk.length, 0),
+    };
+  }
+
+  /**
+   * Posição do próximo marcador de início a partir de offset (-1 se não houver)
+   */
+  findStart(buffer, offset) {
+    if (this.startPattern) {
+      const pattern = new RegExp(this.startPattern.source, "g");
+      pattern.lastIndex = offset;
+      const match = pattern.exec(buffer.toString("latin1"));
+      return match ? match.index : -1;
+    }
+
+    let first = -1;
+    for (const marker of this.startMarkers) {
+      const index = buffer.indexOf(marker, offset);
+      if (index !== -1 && (first === -1 || index < first)) {
+        first = index;
+      }
+    }
+
+    return first;
+  }
+
+  /**
+   * Posição do primeiro marcador a partir de offset que inicia um frame
+   * completo e válido (-1 se não houver)
+   */
+  findCompleteFrame(buffer, offset) {
+    let start = this.findStart(buffer, offset);
+
+    while (start !== -1) {
+      if (this.frameLength(buffer, start) > 0) {
+        return start;
+      }
+      start = this.findStart(buffer, start + 1);
+    }
+
+    return -1;
+  }
+
+  /**
+   * Tamanho do fim do buffer que pode ser o começo de um marcador incompleto
+   */
+  partialStartLength(buffer, offset) {
+    const available = buffer.length - offset;
+
+    if (this.startPattern) {
+      return Math.min(available, this.tailLength);
+    }
+
+    let longest = 0;
+    for (const marker of this.startMarkers) {
+      for (
+        let size = Math.min(available, marker.length - 1);
+        size > 0;
+        size--
+      ) {
+        if (buffer.slice(-size).equals(marker.slice(0, size))) {
+          longest = Math.max(longest, size);
+          break;
+        }
+      }
+    }
+
+    return longest;
+  }
+
+  frameLength() {
+    throw new Error("frameLength not implemented");
+  }
+}
+
+/**
+ * Frames com tamanho no cabeçalho (GT06, Teltonika)
+ * formats: [{ start, lengthOffset, lengthSize, overhead, end, validate }]
+ * tamanho total = valor do campo de tamanho + overhead
+ */
+class LengthPrefixedFramer extends StreamFramer {
+  constructor(options) {
+    super({
+      ...options,
+      startMarkers: options.formats.map((format) => format.start),
+    });
+
+    this.formats = options.formats.map((format) => ({
+      ...format,
+      start: Buffer.from(format.start),
+      end: format.end ? Buffer.from(format.end) : null,
+    }));
+  }
+
+  frameLength(buffer, offset) {
+    const format = this.formats.find((candidate) =>
+      buffer
+        .slice(offset, offset + candidate.start.length)
+        .equals(candidate.start)
+    );
+
+    if (!format) {
+      return -1;
+    }
+
+    const headerLength = format.lengthOffset + format.lengthSize;
+    if (buffer.length - offset < headerLength) {
+      return 0;
+    }
+
+    const length = buffer.readUIntBE(
+      offset + format.lengthOffset,
+      format.lengthSize
+    );
+    const totalLength = length + format.overhead;
+
+    if (
+      length < (format.minLength || 1) ||
+      totalLength > this.maxLength ||
+      totalLength <= headerLength
+    ) {
+      return -1;
+    }
+
+    if (buffer.length - offset < totalLength) {
+      return 0;
+    }
+
+    const frame = buffer.slice(offset, offset + totalLength);
+
+    if (format.end && !frame.slice(-format.end.length).equals(format.end)) {
+      return -1;
+    }
+
+    if (format.validate && !format.validate(frame)) {
+      return -1;
+    }
+
+    return totalLength;
+  }
+}
+
+/**
+ * Frames texto terminados por delimitador (TK103, GPS303, H02)
+ */
+class DelimiterFramer extends StreamFramer {
+  constructor(options) {
+    super(options);
+    this.end = Buffer.from(options.end);
+  }
+
+  frameLength(buffer, offset) {
+    const end = buffer.indexOf(this.end, offset);
+    if (end === -1) {
+      return 0;
+    }
+
+    return end - offset + this.end.length;
+  }
+}
+
+/**
+ * Frames delimitados por flag com escape do conteúdo (JT808)
+ * O mesmo byte marca início e fim, então "7E7E" indica um fim perdido
+ */
+class EscapeFramer extends StreamFramer {
+  constructor(options) {
+    super({ ...options, startMarkers: [[options.flag]] });
+    this.flag = options.flag;
+  }
+
+  frameLength(buffer, offset) {
+    const end = buffer.indexOf(this.flag, offset + 1);
+
+    if (end === -1) {
+      return 0;
+    }
+
+    if (end === offset + 1) {
+      return -1;
+    }
+
+    return end - offset + 1;
+  }
+}
+
+/**
+ * H02: frames texto "*HQ,...#" e binários "$" de 32 ou 45 bytes
+ */
+class H02Framer extends DelimiterFramer {
+  constructor() {
+    super({ startMarkers: ["*HQ", "$"], end: "#", maxLength: 1024 });
+
+    this.BINARY_START = 0x24; // "$"
+    this.TEXT_START = 0x2a; // "*"
+    this.BINARY_LENGTH = 32;
+    this.BINARY_LENGTH_LONG = 45;
+  }
+
+  frameLength(buffer, offset) {
+    if (buffer[offset] !== this.BINARY_START) {
+      return super.frameLength(buffer, offset);
+    }
+
+    const available = buffer.length - offset;
+    if (available < this.BINARY_LENGTH) {
+      return 0;
+    }
+
+    // "$" no meio de lixo: ressincronizar no próximo marcador
+    if (!validH02Binary(buffer.slice(offset, offset + this.BINARY_LENGTH))) {
+      return -1;
+    }
+
+    // Mesmo critério do parser: frame longo quando não há novo frame após 32 bytes
+    const next = buffer[offset + this.BINARY_LENGTH];
+    if (
+      available === this.BINARY_LENGTH ||
+      next === this.BINARY_START ||
+      next === this.TEXT_START
+    ) {
+      return this.BINARY_LENGTH;
+    }
+
+    return available >= this.BINARY_LENGTH_LONG ? this.BINARY_LENGTH_LONG : 0;
+  }
+}
+
+/**
+ * Framers por protocolo
+ */
+class FrameDecoder {
+  constructor() {
+    const textFramer = new DelimiterFramer({
+      startPattern: /##|imei:|\d{15}/,
+      end: ";",
+      tailLength: 14,
+      maxLength: 1024,
+    });
+
+    this.framers = {
+      gt06: new LengthPrefixedFramer({
+        formats: [
+          // 0x7878 + tamanho(1) + dados + 0x0D0A
+          {
+            start: [0x78, 0x78],
+            lengthOffset: 2,
+            lengthSize: 1,
+            overhead: 5,
+            minLength: 5,
+            end: [0x0d, 0x0a],
+            validate: validGt06Crc,
+          },
+          // 0x7979 + tamanho(2) + dados + 0x0D0A
+          {
+            start: [0x79, 0x79],
+            lengthOffset: 2,
+            lengthSize: 2,
+            overhead: 6,
+            minLength: 5,
+            end: [0x0d, 0x0a],
+            validate: validGt06Crc,
+          },
+        ],
+        maxLength: 0xffff + 6,
+      }),
+      teltonika: new LengthPrefixedFramer({
+        formats: [
+          // Pacote AVL: preâmbulo(4) + tamanho(4) + dados + CRC(4)
+          {
+            start: [0, 0, 0, 0],
+            lengthOffset: 4,
+            lengthSize: 4,
+            overhead: 12,
+            validate: validTeltonikaCrc,
+          },
+          // Handshake: tamanho(2) + IMEI de 15 dígitos
+          {
+            start: [0x00, 0x0f],
+            lengthOffset: 0,
+            lengthSize: 2,
+            overhead: 2,
+            validate: (frame) => /^\d+$/.test(frame.toString("ascii", 2)),
+          },
+        ],
+        maxLength: 65536,
+      }),
+      tk103: textFramer,
+      gps303: textFramer,
+      h02: new H02Framer(),
+      jt808: new EscapeFramer({ flag: 0x7e, maxLength: 4096 }),
+    };
+  }
+
+  /**
+   * Verificar se o protocolo possui framing de fluxo
+   */
+  supports(protocol) {
+    return Boolean(this.framers[protocol]);
+  }
+
+  /**
+   * Extrair frames do buffer conforme o protocolo
+   * Protocolos sem framer recebem o buffer inteiro como um frame
+   */
+  extract(buffer, protocol) {
+    const framer = this.framers[protocol];
+
+    if (!framer) {
+      return {
+        frames: buffer.length > 0 ? [buffer] : [],
+        remaining: Buffer.alloc(0),
+        discarded: [],
+        dropped: 0,
+      };
+    }
+
+    return framer.extract(buffer);
+  }
+
+  /**
+   * Localizar o primeiro frame completo de algum dos protocolos (na ordem de
+   * prioridade) antes de o protocolo da conexão ser conhecido
+   * parse(frame, protocol) confirma cada candidato
+   * Retorna { protocol, offset, length, result } ou, sem frame,
+   * { protocol: null, waiting, partial }: waiting indica um candidato
+   * incompleto e partial o tamanho de um marcador incompleto no fim do buffer
+   */
+  detect(buffer, protocols, parse) {
+    let found = null;
+    let waiting = false;
+    let partial = 0;
+
+    for (const protocol of protocols) {
+      const framer = this.framers[protocol];
+      if (!framer) continue;
+
+      partial = Math.max(partial, framer.partialStartLength(buffer, 0));
+
+      // Em empate de posição prevalece o protocolo anterior
+      let start = framer.findStart(buffer, 0);
+      while (start !== -1 && (!found || start < found.offset)) {
+        const length = framer.frameLength(buffer, start);
+
+        if (length > 0) {
+          const result = parse(buffer.slice(start, start + length), protocol);
+          if (result.success) {
+            found = { protocol, offset: start, length, result };
+            break;
+          }
+        } else if (length === 0 && buffer.length - start <= framer.maxLength) {
+          waiting = true;
+        }
+
+        start = framer.findStart(buffer, start + 1);
+      }
+    }
+
+    return found || { protocol: null, waiting, partial };
+  }
+}
+
+module.exports = { FrameDecoder };
@@ -16,6 +16,56 @@ dotenv.config();
 const PORT = process.env.TCP_PORT || 5000;
 const HOST = process.env.TCP_HOST || "0.0.0.0";
 const LOG_LEVEL = process.env.LOG_LEVEL || "info";
+const PROTOCOL_PORTS = parseProtocolPorts(process.env.TCP_PROTOCOL_PORTS);
+const UDP_PORTS = {
+  ...(process.env.UDP_PORT ? { [process.env.UDP_PORT]: "auto" } : {}),
+  ...parseProtocolPorts(process.env.UDP_PROTOCOL_PORTS),
+};
+const TLS_PORTS = {
+  ...(process.env.TLS_PORT ? { [process.env.TLS_PORT]: "auto" } : {}),
+  ...parseProtocolPorts(process.env.TLS_PROTOCOL_PORTS),
+};
+const TLS_OPTIONS = {
+  certFile: process.env.TLS_CERT_FILE,
+  keyFile: process.env.TLS_KEY_FILE,
+  caFile: process.env.TLS_CA_FILE,
+  pinnedCertsFile: process.env.TLS_PINNED_CERTS_FILE,
+  requireClientCert: process.env.TLS_REQUIRE_CLIENT_CERT === "true",
+};
+const UDP_SESSION_TTL = Number(process.env.UDP_SESSION_TTL) || 300000;
+const COMMAND_TTL = Number(process.env.COMMAND_TTL) || 86400000;
+const COMMAND_ACK_TIMEOUT = Number(process.env.COMMAND_ACK_TIMEOUT) || 30000;
+const COMMAND_RETRIES =
+  process.env.COMMAND_RETRIES !== undefined
+    ? Number(process.env.COMMAND_RETRIES)
+    : 2;
+const IDLE_TIMEOUT = Number(process.env.IDLE_TIMEOUT) || 600000;
+const IDLE_TIMEOUTS = parseProtocolTimeouts(process.env.PROTOCOL_IDLE_TIMEOUTS);
+const TCP_KEEPALIVE_DELAY = Number(process.env.TCP_KEEPALIVE_DELAY) || 60000;
+const MAX_CONNECTIONS = process.env.MAX_CONNECTIONS
+  ? Number(process.env.MAX_CONNECTIONS)
+  : 1000;
+const MAX_CONNECTIONS_PER_IP = process.env.MAX_CONNECTIONS_PER_IP
+  ? Number(process.env.MAX_CONNECTIONS_PER_IP)
+  : 100;
+const MESSAGE_RATE_LIMIT = process.env.MESSAGE_RATE_LIMIT
+  ? Number(process.env.MESSAGE_RATE_LIMIT)
+  : 120;
+const MESSAGE_RATE_WINDOW = Number(process.env.MESSAGE_RATE_WINDOW) || 60000;
+const BAN_DURATION = Number(process.env.BAN_DURATION) || 600000;
+const DEVICE_CACHE_TTL = Number(process.env.DEVICE_CACHE_TTL) || 300000;
+const DEVICE_CACHE_NEGATIVE_TTL = numberFromEnv(
+  "DEVICE_CACHE_NEGATIVE_TTL",
+  30000
+);
+const LOCATION_MAINTENANCE = {
+  interval: numberFromEnv("LOCATION_MAINTENANCE_INTERVAL", 3600000),
+  partitionsAhead: numberFromEnv("LOCATION_PARTITIONS_AHEAD", 2),
+  rawRetentionDays: numberFromEnv("LOCATION_RAW_RETENTION_DAYS", 90),
+  historyRetentionDays: numberFromEnv("LOCATION_HISTORY_RETENTION_DAYS", 365),
+  downsampleInterval: numberFromEnv("LOCATION_DOWNSAMPLE_INTERVAL", 60),
+  downsampleHeading: numberFromEnv("LOCATION_DOWNSAMPLE_HEADING", 30),
+};
 
 // Logger principal
 const logger = new Logger("MAIN", {
@@ -27,6 +77,55 @@ const logger = new Logger("MAIN", {
 // Instância do servidor TCP
 let tcpServer = null;
 
+/**
+ * Converter "5001=gt06,5002=h02" em { 5001: "gt06", 5002: "h02" }
+ */
+function parseProtocolPorts(value) {
+  const ports = {};
+
+  if (!value) {
+    return ports;
+  }
+
+  for (const entry of value.split(",")) {
+    const [port, protocol] = entry.split("=").map((part) => part.trim());
+    if (port && protocol) {
+      ports[port] = protocol.toLowerCase();
+    }
+  }
+
+  return ports;
+}
+
+/**
+ * Ler variável de ambiente numérica (0 é um valor válido)
+ * Ausente, vazia ou inválida usa o valor padrão
+ */
+function numberFromEnv(name, fallback) {
+  const value = process.env[name];
+  if (value === undefined || value.trim() === "") {
+    return fallback;
+  }
+
+  const number = Number(value);
+  return isNaN(number) ? fallback : number;
+}
+
+/**
+ * Converter "gt06=600000,jt808=300000" em { gt06: 600000, jt808: 300000 }
+ */
+function parseProtocolTimeouts(value) {
+  const timeouts = {};
+
+  for (const [protocol, timeout] of Object.entries(parseProtocolPorts(value))) {
+    if (Number(timeout) > 0) {
+      timeouts[protocol.toLowerCase()] = Number(timeout);
+    }
+  }
+
+  return timeouts;
+}
+
 /**
  * Inicializar servidor
  */
@@ -36,9 +135,31 @@ async function startServer() {
     logger.info(
       `Configuration: Host=${HOST}, Port=${PORT}, LogLevel=${LOG_LEVEL}`
     );
+    logger.info("Protocol ports", PROTOCOL_PORTS);
+    logger.info("UDP ports", UDP_PORTS);
+    logger.info("TLS ports", TLS_PORTS);
 
     // Criar e iniciar servidor TCP
-    tcpServer = new TCPServer(PORT, HOST);
+    tcpServer = new TCPServer(PORT, HOST, PROTOCOL_PORTS, {
+      udpPorts: UDP_PORTS,
+      udpSessionTtl: UDP_SESSION_TTL,
+      tlsPorts: TLS_PORTS,
+      tls: TLS_OPTIONS,
+      commandTtl: COMMAND_TTL,
+      commandAckTimeout: COMMAND_ACK_TIMEOUT,
+      commandRetries: COMMAND_RETRIES,
+      idleTimeout: IDLE_TIMEOUT,
+      idleTimeouts: IDLE_TIMEOUTS,
+      keepAliveDelay: TCP_KEEPALIVE_DELAY,
+      maxConnections: MAX_CONNECTIONS,
+      maxConnectionsPerIp: MAX_CONNECTIONS_PER_IP,
+      messageRateLimit: MESSAGE_RATE_LIMIT,
+      messageRateWindow: MESSAGE_RATE_WINDOW,
+      banDuration: BAN_DURATION,
+      deviceCacheTtl: DEVICE_CACHE_TTL,
+      deviceCacheNegativeTtl: DEVICE_CACHE_NEGATIVE_TTL,
+      locationMaintenance: LOCATION_MAINTENANCE,
+    });
     await tcpServer.start();
 
     logger.info("TrakSure TCP Server started successfully");
@@ -93,6 +214,14 @@ function setupSignalHandlers() {
     stopServer();
   });
 
+  // SIGHUP: recarregar certificados TLS renovados
+  process.on("SIGHUP", () => {
+    logger.info("Received SIGHUP, reloading TLS certificates");
+    if (tcpServer) {
+      tcpServer.reloadTlsCertificates();
+    }
+  });
+
   // Uncaught exceptions
   process.on("uncaughtException", (error) => {
     logger.error("Uncaught Exception:", error);
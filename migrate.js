@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+
+/**
+ * CLI de migrações do banco de dados
+ * Uso: node migrate.js [up | down [passos] | status]
+ */
+
+const dotenv = require("dotenv");
+
+// Carregar variáveis de ambiente
+dotenv.config();
+
+const { DatabaseService } = require("./services/database.service");
+const { MigrationService } = require("./services/migration.service");
+
+async function main() {
+  const [action = "up", argument] = process.argv.slice(2);
+  const database = new DatabaseService();
+  const migrations = new MigrationService(database);
+
+  try {
+    switch (action) {
+      case "up": {
+        const executed = await migrations.migrate();
+        console.log(
+          executed.length > 0
+            ? `${executed.length} migration(s) applied`
+            : "Database schema is up to date"
+        );
+        break;
+      }
+      case "down": {
+        const steps = argument ? Number(argument) : 1;
+        if (!Number.isInteger(steps) || steps < 1) {
+          throw new Error(`Invalid number of steps "${argument}"`);
+        }
+        const reverted = await migrations.rollback(steps);
+        console.log(`${reverted.length} migration(s) rolled back`);
+        break;
+      }
+      case "status":
+        for (const migration of await migrations.status()) {
+          console.log(
+            `${migration.applied ? "[x]" : "[ ]"} ${migration.id}${
+              migration.appliedAt
+                ? ` (${new Date(migration.appliedAt).toISOString()})`
+                : ""
+            }`
+          );
+        }
+        break;
+      default:
+        throw new Error(
+          `Unknown action "${action}". Usage: node migrate.js [up | down [steps] | status]`
+        );
+    }
+  } catch (error) {
+    console.error("Migration failed:", error.message);
+    process.exitCode = 1;
+  } finally {
+    await database.close();
+  }
+}
+
+main();
@@ -0,0 +1,88 @@
+-- Esquema base usado pelo servidor TCP
+-- Tabelas já existentes (criadas manualmente) são mantidas e recebem as
+-- colunas que o servidor espera
+
+CREATE EXTENSION IF NOT EXISTS postgis;
+
+CREATE TABLE IF NOT EXISTS companies (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS devices (
+  id SERIAL PRIMARY KEY,
+  imei VARCHAR(20) NOT NULL UNIQUE,
+  company_id INTEGER NOT NULL REFERENCES companies(id),
+  name VARCHAR(255),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE devices
+  ADD COLUMN IF NOT EXISTS active BOOLEAN NOT NULL DEFAULT true,
+  ADD COLUMN IF NOT EXISTS online BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS settings JSONB NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS last_heartbeat TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS last_login TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+CREATE INDEX IF NOT EXISTS idx_devices_company_id ON devices (company_id);
+
+CREATE TABLE IF NOT EXISTS locations (
+  id BIGSERIAL PRIMARY KEY,
+  device_id INTEGER NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+  latitude DOUBLE PRECISION NOT NULL,
+  longitude DOUBLE PRECISION NOT NULL,
+  speed DOUBLE PRECISION NOT NULL DEFAULT 0,
+  recorded_at TIMESTAMPTZ NOT NULL,
+  geom GEOMETRY(Point, 4326),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_locations_device_recorded
+  ON locations (device_id, recorded_at DESC);
+CREATE INDEX IF NOT EXISTS idx_locations_recorded_at ON locations (recorded_at);
+CREATE INDEX IF NOT EXISTS idx_locations_geom ON locations USING GIST (geom);
+
+CREATE TABLE IF NOT EXISTS alerts (
+  id BIGSERIAL PRIMARY KEY,
+  device_id INTEGER NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+  alert_type VARCHAR(50) NOT NULL,
+  message TEXT,
+  latitude DOUBLE PRECISION,
+  longitude DOUBLE PRECISION,
+  triggered_at TIMESTAMPTZ NOT NULL,
+  geom GEOMETRY(Point, 4326),
+  raw_data JSONB,
+  resolved BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_alerts_device_triggered
+  ON alerts (device_id, triggered_at DESC);
+CREATE INDEX IF NOT EXISTS idx_alerts_unresolved
+  ON alerts (triggered_at) WHERE resolved = false;
+
+CREATE TABLE IF NOT EXISTS commands (
+  id SERIAL PRIMARY KEY,
+  device_id INTEGER NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+  command_type VARCHAR(50) NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}',
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE commands
+  ADD COLUMN IF NOT EXISTS response JSONB,
+  ADD COLUMN IF NOT EXISTS error_message TEXT,
+  ADD COLUMN IF NOT EXISTS sent_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS ack_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS failed_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+-- Fila de comandos pendentes por dispositivo e expiração por idade
+CREATE INDEX IF NOT EXISTS idx_commands_device_status
+  ON commands (device_id, status, created_at);
+CREATE INDEX IF NOT EXISTS idx_commands_status_created
+  ON commands (status, created_at);
@@ -0,0 +1,13 @@
+-- IMEIs desconhecidos aguardando aprovação (DEVICE_PROVISIONING=quarantine)
+
+CREATE TABLE IF NOT EXISTS pending_devices (
+  imei VARCHAR(20) PRIMARY KEY,
+  protocol VARCHAR(20),
+  remote_address VARCHAR(64),
+  attempts INTEGER NOT NULL DEFAULT 1,
+  first_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_pending_devices_last_seen
+  ON pending_devices (last_seen_at DESC);
@@ -0,0 +1,2 @@
+DROP TRIGGER IF EXISTS devices_notify_change ON devices;
+DROP FUNCTION IF EXISTS notify_device_change();
@@ -0,0 +1,18 @@
+-- Notifica o canal device_changes quando o cadastro de um dispositivo é
+-- alterado ou removido, invalidando o cache IMEI → dispositivo dos servidores
+-- Atualizações de heartbeat, login e status online não disparam notificação
+
+CREATE OR REPLACE FUNCTION notify_device_change() RETURNS trigger AS $$
+BEGIN
+  PERFORM pg_notify('device_changes', OLD.imei);
+  IF TG_OP = 'UPDATE' AND NEW.imei IS DISTINCT FROM OLD.imei THEN
+    PERFORM pg_notify('device_changes', NEW.imei);
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS devices_notify_change ON devices;
+CREATE TRIGGER devices_notify_change
+  AFTER UPDATE OF imei, company_id, active, settings OR DELETE ON devices
+  FOR EACH ROW EXECUTE FUNCTION notify_device_change();
@@ -0,0 +1,6 @@
+ALTER TABLE locations DROP COLUMN IF EXISTS attributes;
+ALTER TABLE locations DROP COLUMN IF EXISTS valid;
+ALTER TABLE locations DROP COLUMN IF EXISTS hdop;
+ALTER TABLE locations DROP COLUMN IF EXISTS satellites;
+ALTER TABLE locations DROP COLUMN IF EXISTS altitude;
+ALTER TABLE locations DROP COLUMN IF EXISTS course;
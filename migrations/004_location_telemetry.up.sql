@@ -0,0 +1,11 @@
+-- Telemetria completa das posições: campos posicionais padrão e atributos
+-- normalizados (ignition, motion, batteryLevel, power, rssi, odometer, fuel,
+-- temperature1..n, input1..n) em JSONB
+
+ALTER TABLE locations ADD COLUMN IF NOT EXISTS course DOUBLE PRECISION;
+ALTER TABLE locations ADD COLUMN IF NOT EXISTS altitude DOUBLE PRECISION;
+ALTER TABLE locations ADD COLUMN IF NOT EXISTS satellites SMALLINT;
+ALTER TABLE locations ADD COLUMN IF NOT EXISTS hdop DOUBLE PRECISION;
+ALTER TABLE locations ADD COLUMN IF NOT EXISTS valid BOOLEAN;
+ALTER TABLE locations
+  ADD COLUMN IF NOT EXISTS attributes JSONB NOT NULL DEFAULT '{}';
@@ -0,0 +1,41 @@
+CREATE TABLE locations_unpartitioned (
+  id BIGINT NOT NULL DEFAULT nextval('locations_id_seq'),
+  device_id INTEGER NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+  latitude DOUBLE PRECISION NOT NULL,
+  longitude DOUBLE PRECISION NOT NULL,
+  speed DOUBLE PRECISION NOT NULL DEFAULT 0,
+  course DOUBLE PRECISION,
+  altitude DOUBLE PRECISION,
+  satellites SMALLINT,
+  hdop DOUBLE PRECISION,
+  valid BOOLEAN,
+  attributes JSONB NOT NULL DEFAULT '{}',
+  recorded_at TIMESTAMPTZ NOT NULL,
+  geom GEOMETRY(Point, 4326),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT locations_unpartitioned_pkey PRIMARY KEY (id)
+);
+
+INSERT INTO locations_unpartitioned (
+  id, device_id, latitude, longitude, speed, course, altitude, satellites,
+  hdop, valid, attributes, recorded_at, geom, created_at
+)
+SELECT
+  id, device_id, latitude, longitude, speed, course, altitude, satellites,
+  hdop, valid, attributes, recorded_at, geom, created_at
+FROM locations;
+
+ALTER SEQUENCE locations_id_seq OWNED BY NONE;
+DROP TABLE locations;
+DROP TABLE IF EXISTS location_downsampling;
+DROP FUNCTION IF EXISTS create_locations_partition(DATE);
+
+ALTER TABLE locations_unpartitioned RENAME TO locations;
+ALTER TABLE locations
+  RENAME CONSTRAINT locations_unpartitioned_pkey TO locations_pkey;
+ALTER SEQUENCE locations_id_seq OWNED BY locations.id;
+
+CREATE INDEX IF NOT EXISTS idx_locations_device_recorded
+  ON locations (device_id, recorded_at DESC);
+CREATE INDEX IF NOT EXISTS idx_locations_recorded_at ON locations (recorded_at);
+CREATE INDEX IF NOT EXISTS idx_locations_geom ON locations USING GIST (geom);
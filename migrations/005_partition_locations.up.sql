@@ -0,0 +1,109 @@
+-- Particionamento mensal de locations por recorded_at (UTC)
+-- Partições locations_pYYYYMM são criadas pelo job de manutenção, que também
+-- reduz a resolução das partições antigas e remove as expiradas
+-- locations_default recebe posições fora das partições existentes
+
+ALTER TABLE locations RENAME TO locations_unpartitioned;
+ALTER TABLE locations_unpartitioned
+  RENAME CONSTRAINT locations_pkey TO locations_unpartitioned_pkey;
+ALTER SEQUENCE locations_id_seq OWNED BY NONE;
+
+DROP INDEX IF EXISTS idx_locations_device_recorded;
+DROP INDEX IF EXISTS idx_locations_recorded_at;
+DROP INDEX IF EXISTS idx_locations_geom;
+
+CREATE TABLE locations (
+  id BIGINT NOT NULL DEFAULT nextval('locations_id_seq'),
+  device_id INTEGER NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+  latitude DOUBLE PRECISION NOT NULL,
+  longitude DOUBLE PRECISION NOT NULL,
+  speed DOUBLE PRECISION NOT NULL DEFAULT 0,
+  course DOUBLE PRECISION,
+  altitude DOUBLE PRECISION,
+  satellites SMALLINT,
+  hdop DOUBLE PRECISION,
+  valid BOOLEAN,
+  attributes JSONB NOT NULL DEFAULT '{}',
+  recorded_at TIMESTAMPTZ NOT NULL,
+  geom GEOMETRY(Point, 4326),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (id, recorded_at)
+) PARTITION BY RANGE (recorded_at);
+
+ALTER SEQUENCE locations_id_seq OWNED BY locations.id;
+
+CREATE TABLE locations_default PARTITION OF locations DEFAULT;
+
+CREATE INDEX idx_locations_device_recorded
+  ON locations (device_id, recorded_at DESC);
+CREATE INDEX idx_locations_recorded_at ON locations (recorded_at);
+CREATE INDEX idx_locations_geom ON locations USING GIST (geom);
+
+-- Partições cuja resolução já foi reduzida
+CREATE TABLE IF NOT EXISTS location_downsampling (
+  partition_name VARCHAR(63) PRIMARY KEY,
+  rows_before BIGINT NOT NULL,
+  rows_after BIGINT NOT NULL,
+  downsampled_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Criar a partição do mês de p_month, movendo para ela as posições do
+-- período que estejam em locations_default
+-- Retorna false se a partição já existir
+CREATE OR REPLACE FUNCTION create_locations_partition(p_month DATE)
+RETURNS BOOLEAN AS $$
+DECLARE
+  v_start TIMESTAMPTZ := date_trunc('month', p_month::timestamp) AT TIME ZONE 'UTC';
+  v_end TIMESTAMPTZ := (date_trunc('month', p_month::timestamp) + INTERVAL '1 month') AT TIME ZONE 'UTC';
+  v_name TEXT := 'locations_p' || to_char(p_month, 'YYYYMM');
+BEGIN
+  IF to_regclass(v_name) IS NOT NULL THEN
+    RETURN false;
+  END IF;
+
+  EXECUTE format(
+    'CREATE TABLE %I (LIKE locations INCLUDING DEFAULTS INCLUDING CONSTRAINTS)',
+    v_name
+  );
+  EXECUTE format(
+    'WITH moved AS (
+       DELETE FROM locations_default
+       WHERE recorded_at >= %L AND recorded_at < %L
+       RETURNING *
+     )
+     INSERT INTO %I SELECT * FROM moved',
+    v_start, v_end, v_name
+  );
+  EXECUTE format(
+    'ALTER TABLE locations ATTACH PARTITION %I FOR VALUES FROM (%L) TO (%L)',
+    v_name, v_start, v_end
+  );
+
+  RETURN true;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Partições para os meses com posições gravadas, o mês atual e o próximo
+SELECT create_locations_partition(month)
+FROM (
+  SELECT DISTINCT date_trunc('month', recorded_at AT TIME ZONE 'UTC')::date AS month
+  FROM locations_unpartitioned
+  WHERE recorded_at <
+    (date_trunc('month', NOW() AT TIME ZONE 'UTC') + INTERVAL '2 months') AT TIME ZONE 'UTC'
+  UNION
+  SELECT date_trunc('month', NOW() AT TIME ZONE 'UTC')::date
+  UNION
+  SELECT (date_trunc('month', NOW() AT TIME ZONE 'UTC') + INTERVAL '1 month')::date
+) months
+ORDER BY month;
+
+INSERT INTO locations (
+  id, device_id, latitude, longitude, speed, course, altitude, satellites,
+  hdop, valid, attributes, recorded_at, geom, created_at
+)
+SELECT
+  id, device_id, latitude, longitude, speed, course, altitude, satellites,
+  hdop, valid, attributes, recorded_at, geom, created_at
+FROM locations_unpartitioned;
+
+DROP TABLE locations_unpartitioned;
@@ -0,0 +1,4 @@
+-- Código de autenticação JT808 emitido no registro (0x0100 → 0x8100) e
+-- exigido no 0x0102 para autenticar a sessão
+
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS auth_code VARCHAR(64);
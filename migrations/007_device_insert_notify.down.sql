@@ -0,0 +1,11 @@
+DROP TRIGGER IF EXISTS devices_notify_insert ON devices;
+
+CREATE OR REPLACE FUNCTION notify_device_change() RETURNS trigger AS $$
+BEGIN
+  PERFORM pg_notify('device_changes', OLD.imei);
+  IF TG_OP = 'UPDATE' AND NEW.imei IS DISTINCT FROM OLD.imei THEN
+    PERFORM pg_notify('device_changes', NEW.imei);
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
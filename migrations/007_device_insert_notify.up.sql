@@ -0,0 +1,22 @@
+-- Notifica o canal device_changes também quando um dispositivo é cadastrado,
+-- invalidando o cache de IMEI desconhecido dos servidores
+
+CREATE OR REPLACE FUNCTION notify_device_change() RETURNS trigger AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    PERFORM pg_notify('device_changes', NEW.imei);
+    RETURN NULL;
+  END IF;
+
+  PERFORM pg_notify('device_changes', OLD.imei);
+  IF TG_OP = 'UPDATE' AND NEW.imei IS DISTINCT FROM OLD.imei THEN
+    PERFORM pg_notify('device_changes', NEW.imei);
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS devices_notify_insert ON devices;
+CREATE TRIGGER devices_notify_insert
+  AFTER INSERT ON devices
+  FOR EACH ROW EXECUTE FUNCTION notify_device_change();
@@ -1,6 +1,6 @@
 /**
  * Parser de protocolos para diferentes dispositivos GPS
- * Suporta múltiplos protocolos: GT06, TK103, H02, etc.
+ * Suporta múltiplos protocolos: GT06, TK103, H02, Teltonika, JT808, etc.
  */
 
 class ProtocolParser {
@@ -10,24 +10,164 @@ class ProtocolParser {
       gt06: new GT06Parser(),
       tk103: new TK103Parser(),
       h02: new H02Parser(),
+      teltonika: new TeltonikaParser(),
+      jt808: new JT808Parser(),
       generic: new GenericParser(),
     };
 
     this.defaultParser = "gps303"; // Priorizar GPS303
+
+    // Protocolo base → derivado com assinatura própria: a conexão travada no
+    // base passa ao derivado no primeiro frame com a assinatura dele
+    // (GPS 303 faz login com a mensagem comum ao TK103)
+    this.upgrades = { tk103: "gps303" };
   }
 
   /**
    * Fazer parse dos dados recebidos
-   * Tenta identificar automaticamente o protocolo
+   * Tenta identificar automaticamente o protocolo, a menos que a conexão
+   * já tenha um protocolo travado
    */
-  parse(buffer) {
+  parse(buffer, protocol = null) {
+    const result = protocol
+      ? this.parseWithProtocol(buffer, protocol)
+      : this.detect(buffer);
+
+    if (result.success) {
+      this.attachPositions(result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Anexar a posição normalizada (position) às mensagens de localização e
+   * alarme com coordenadas, inclusive aos registros de pacotes em lote
+   */
+  attachPositions(result) {
+    const parser = this.parsers[result.protocol];
+    const { data } = result;
+
+    if (!parser || typeof parser.normalizePosition !== "function") {
+      return;
+    }
+
+    const records = data.type === "batch" ? data.records : [data];
+    for (const record of records) {
+      if (
+        (record.type === "location" || record.type === "alarm") &&
+        record.latitude !== undefined &&
+        record.longitude !== undefined
+      ) {
+        record.position = parser.normalizePosition(record);
+      }
+    }
+  }
+
+  /**
+   * Fazer parse usando somente o parser do protocolo informado
+   * Se o frame for reconhecido por outro protocolo, sinaliza protocolMismatch
+   */
+  parseWithProtocol(buffer, protocol) {
+    const parser = this.parsers[protocol];
+
+    if (!parser) {
+      throw new Error(`Unknown protocol: ${protocol}`);
+    }
+
+    let result;
+    try {
+      result = parser.parse(buffer);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    if (result.success) {
+      result.protocol = protocol;
+      return this.upgradeProtocol(buffer, result);
+    }
+
+    const detected = this.detect(buffer, protocol);
+    if (detected.success && detected.protocol !== "generic") {
+      return {
+        success: false,
+        error: `Protocol mismatch: expected ${protocol}, got ${detected.protocol}`,
+        protocolMismatch: {
+          expected: protocol,
+          detected: detected.protocol,
+        },
+        bytesProcessed: 0,
+      };
+    }
+
+    return result;
+  }
+
+  /**
+   * Refazer o parse com o protocolo derivado (this.upgrades) quando o frame
+   * tiver a assinatura dele; caso contrário mantém o resultado do base
+   */
+  upgradeProtocol(buffer, result) {
+    const target = this.upgrades[result.protocol];
+
+    if (!target) {
+      return result;
+    }
+
+    try {
+      const upgraded = this.parsers[target].parse(buffer);
+      if (upgraded.success && this.matchesSignature(target, upgraded.data)) {
+        upgraded.protocol = target;
+        return upgraded;
+      }
+    } catch (error) {
+      // Manter o resultado do protocolo base
+    }
+
+    return result;
+  }
+
+  /**
+   * Fazer parse de um candidato da detecção automática com o parser do
+   * protocolo, exigindo a assinatura do protocolo quando o parser definir
+   * matchesSignature (ex: GPS 303, cujo login é igual ao do TK103)
+   */
+  parseCandidate(buffer, protocol) {
+    const result = this.parse(buffer, protocol);
+
+    if (result.success && !this.matchesSignature(protocol, result.data)) {
+      return {
+        success: false,
+        error: `Missing ${protocol} signature`,
+        bytesProcessed: 0,
+      };
+    }
+
+    return result;
+  }
+
+  /**
+   * Verificar a assinatura do protocolo (parsers sem matchesSignature aceitam)
+   */
+  matchesSignature(protocol, data) {
+    const parser = this.parsers[protocol];
+    return (
+      typeof parser.matchesSignature !== "function" ||
+      parser.matchesSignature(data)
+    );
+  }
+
+  /**
+   * Identificar o protocolo testando cada parser
+   */
+  detect(buffer, exclude = null) {
     // Tentar parsers específicos primeiro
     for (const [protocol, parser] of Object.entries(this.parsers)) {
-      if (protocol === "generic") continue;
+      if (protocol === "generic" || protocol === exclude) continue;
 
       try {
         const result = parser.parse(buffer);
-        if (result.success) {
+        if (result.success && this.matchesSignature(protocol, result.data)) {
           result.protocol = protocol;
           return result;
         }
@@ -50,10 +190,25 @@ class ProtocolParser {
     }
   }
 
+  /**
+   * Protocolos cuja sessão só é autenticada pelo código emitido no registro
+   */
+  requiresAuthCode(protocol) {
+    const parser = this.parsers[protocol];
+    return Boolean(parser && parser.requiresAuthCode);
+  }
+
   /**
    * Construir comando para enviar ao dispositivo
+   * reference identifica o comando na resposta (server flag GT06, serial JT808)
    */
-  buildCommand(command, parameters, protocol = null) {
+  buildCommand(
+    command,
+    parameters,
+    protocol = null,
+    imei = null,
+    reference = 0
+  ) {
     const parser = protocol
       ? this.parsers[protocol]
       : this.parsers[this.defaultParser];
@@ -62,7 +217,16 @@ class ProtocolParser {
       throw new Error(`Unknown protocol: ${protocol}`);
     }
 
-    return parser.buildCommand(command, parameters);
+    return parser.buildCommand(command, parameters, imei, reference);
+  }
+
+  /**
+   * Conteúdo de um comando custom: texto ASCII ou hexadecimal
+   */
+  static decodePayload(parameters) {
+    return parameters.encoding === "hex"
+      ? Buffer.from(parameters.payload, "hex")
+      : Buffer.from(parameters.payload, "ascii");
   }
 
   /**
@@ -77,43 +241,105 @@ class ProtocolParser {
 
   /**
    * Construir resposta de login
+   * message: dados da mensagem recebida (serial, protocolNumber, etc.)
    */
-  buildLoginResponse(success, protocol = null) {
+  buildLoginResponse(success, protocol = null, message = {}) {
     const parser = protocol
       ? this.parsers[protocol]
       : this.parsers[this.defaultParser];
-    return parser ? parser.buildLoginResponse(success) : null;
+    return parser ? parser.buildLoginResponse(success, message) : null;
+  }
+
+  /**
+   * Construir a resposta de recusa do dispositivo, enviada antes de fechar a
+   * conexão (null quando o protocolo não define recusa explícita)
+   */
+  buildRejectResponse(protocol) {
+    const parser = this.parsers[protocol];
+    return parser && typeof parser.buildRejectResponse === "function"
+      ? parser.buildRejectResponse()
+      : null;
   }
 
   /**
    * Construir ACK de localização
    */
-  buildLocationAck(sequence, protocol = null) {
+  buildLocationAck(sequence, protocol = null, message = {}) {
     const parser = protocol
       ? this.parsers[protocol]
       : this.parsers[this.defaultParser];
-    return parser ? parser.buildLocationAck(sequence) : null;
+    return parser ? parser.buildLocationAck(sequence, message) : null;
   }
 
   /**
    * Construir resposta de heartbeat
    */
-  buildHeartbeatResponse(protocol = null) {
+  buildHeartbeatResponse(protocol = null, message = {}) {
     const parser = protocol
       ? this.parsers[protocol]
       : this.parsers[this.defaultParser];
-    return parser ? parser.buildHeartbeatResponse() : null;
+    return parser ? parser.buildHeartbeatResponse(message) : null;
   }
 }
 
+/**
+ * Montar a posição normalizada de um registro decodificado
+ * Campos posicionais viram colunas de locations; attributes segue um
+ * vocabulário comum a todos os protocolos:
+ *   ignition, motion, charge, door (booleanos), alarm (tipo do alarme)
+ *   batteryLevel (%), battery e power (V), rssi, odometer (m), fuel,
+ *   temperature1..n (°C), input1..n e output1..n (booleanos)
+ * Valores sem equivalente mantêm o nome do protocolo (ex: io<id> Teltonika)
+ */
+function createPosition(record, attributes = {}) {
+  const optional = (value) => (value === undefined ? null : value);
+
+  const position = {
+    timestamp: record.timestamp || new Date(),
+    latitude: record.latitude,
+    longitude: record.longitude,
+    speed: record.speed || 0,
+    course: optional(record.course),
+    altitude: optional(record.altitude),
+    satellites: optional(record.satellites),
+    hdop: optional(record.hdop),
+    valid: optional(
+      record.validity !== undefined ? record.validity : record.gpsFixed
+    ),
+    attributes: {},
+  };
+
+  if (record.type === "alarm") {
+    attributes.alarm = record.alarmType;
+  }
+
+  // Sem sensor de movimento: considerar em movimento com velocidade > 0
+  if (attributes.motion === undefined) {
+    attributes.motion = position.speed > 0;
+  }
+
+  for (const [key, value] of Object.entries(attributes)) {
+    if (value !== undefined && value !== null && !Number.isNaN(value)) {
+      position.attributes[key] = value;
+    }
+  }
+
+  return position;
+}
+
 /**
  * Parser para protocolo GT06 (muito comum em trackers chineses)
  */
 class GT06Parser {
   constructor() {
     this.START_BIT = 0x78;
+    this.START_BIT_LONG = 0x79; // Pacotes longos (campo de tamanho com 2 bytes)
     this.STOP_BIT = 0x0d;
     this.STOP_BIT2 = 0x0a;
+
+    this.LANGUAGE_ENGLISH = 0x0002;
+
+    this.serial = 0; // Serial das mensagens enviadas pelo servidor
   }
 
   parse(buffer) {
@@ -121,13 +347,29 @@ class GT06Parser {
       return { success: false, error: "Buffer too small" };
     }
 
-    // Verificar start bits
-    if (buffer[0] !== this.START_BIT || buffer[1] !== this.START_BIT) {
+    // Verificar start bits (0x7878 = tamanho 1 byte, 0x7979 = tamanho 2 bytes)
+    const startBit = buffer[0];
+    if (
+      (startBit !== this.START_BIT && startBit !== this.START_BIT_LONG) ||
+      buffer[1] !== startBit
+    ) {
       return { success: false, error: "Invalid start bits" };
     }
 
-    const length = buffer[2];
-    const totalLength = length + 5; // start(2) + length(1) + data(length) + crc(2)
+    const lengthSize = startBit === this.START_BIT_LONG ? 2 : 1;
+    const headerLength = 2 + lengthSize;
+
+    if (buffer.length < headerLength) {
+      return { success: false, error: "Buffer too small" };
+    }
+
+    // length = protocol(1) + conteúdo(N) + serial(2) + crc(2)
+    const length = lengthSize === 2 ? buffer.readUInt16BE(2) : buffer[2];
+    const totalLength = headerLength + length + 2; // + stop bits(2)
+
+    if (length < 5) {
+      return { success: false, error: "Invalid packet length" };
+    }
 
     if (buffer.length < totalLength) {
       return { success: false, error: "Incomplete packet" };
@@ -141,8 +383,23 @@ class GT06Parser {
       return { success: false, error: "Invalid stop bits" };
     }
 
-    const protocolNumber = buffer[3];
-    const data = buffer.slice(4, 3 + length - 1); // Excluir CRC
+    // CRC-ITU cobre do campo de tamanho até o serial (inclusive)
+    const crcOffset = headerLength + length - 2;
+    const expectedCrc = buffer.readUInt16BE(crcOffset);
+    const crc = this.calculateCRC(buffer.slice(2, crcOffset));
+
+    if (crc !== expectedCrc) {
+      return {
+        success: false,
+        error: `Invalid CRC (expected ${expectedCrc.toString(
+          16
+        )}, got ${crc.toString(16)})`,
+      };
+    }
+
+    const protocolNumber = buffer[headerLength];
+    const serial = buffer.readUInt16BE(crcOffset - 2);
+    const data = buffer.slice(headerLength + 1, crcOffset - 2); // Somente conteúdo
 
     let parsedData = null;
 
@@ -153,23 +410,48 @@ class GT06Parser {
       case 0x12: // Location data
         parsedData = this.parseLocation(data);
         break;
+      case 0x22: // GPS + LBS
+        parsedData = this.parseGpsLbsLocation(data);
+        break;
+      case 0x17: // LBS
+      case 0x1a: // LBS + telefone
+        parsedData = this.parseLbsLocation(data);
+        break;
       case 0x13: // Heartbeat
         parsedData = this.parseHeartbeat(data);
         break;
       case 0x16: // Alarm
+      case 0x26: // Alarm com LBS
         parsedData = this.parseAlarm(data);
+        parsedData.needsResponse = this.buildPacket(
+          protocolNumber,
+          Buffer.alloc(0),
+          serial
+        );
+        break;
+      case 0x94: // Information transmission
+        parsedData = this.parseInformation(data);
+        break;
+      case 0x8a: // Time request
+        parsedData = this.parseTimeRequest(data);
+        parsedData.needsResponse = this.buildTimeResponse(serial);
         break;
       case 0x15: // Command response
         parsedData = this.parseCommandResponse(data);
         break;
+      case 0x21: // Command response (pacote longo)
+        parsedData = this.parseLongCommandResponse(data);
+        break;
       default:
         parsedData = {
           type: "unknown",
-          protocolNumber: protocolNumber,
           data: data,
         };
     }
 
+    parsedData.protocolNumber = protocolNumber;
+    parsedData.serial = serial;
+
     return {
       success: true,
       data: parsedData,
@@ -178,13 +460,13 @@ class GT06Parser {
   }
 
   parseLogin(data) {
-    // Login data: IMEI (8 bytes) + Type ID (2 bytes)
-    if (data.length < 10) {
+    // Login data: IMEI (8 bytes) + Type ID (2 bytes, opcional)
+    if (data.length < 8) {
       throw new Error("Invalid login data length");
     }
 
     const imei = this.parseIMEI(data.slice(0, 8));
-    const typeId = data.readUInt16BE(8);
+    const typeId = data.length >= 10 ? data.readUInt16BE(8) : null;
 
     return {
       type: "login",
@@ -194,107 +476,335 @@ class GT06Parser {
   }
 
   parseLocation(data) {
-    if (data.length < 21) {
+    if (data.length < 18) {
       throw new Error("Invalid location data length");
     }
 
-    const dateTime = this.parseDateTime(data.slice(0, 6));
-    const quantity = data[6];
-    const latitude = this.parseCoordinate(data.slice(7, 11));
-    const longitude = this.parseCoordinate(data.slice(11, 15));
-    const speed = data[15];
-    const course = data.readUInt16BE(16);
-    const lbsLength = data[18];
+    const location = {
+      type: "location",
+      ...this.parseGpsBlock(data, 0),
+    };
 
-    return {
+    // 0x12: LBS (MCC, MNC, LAC, Cell ID) logo após o bloco GPS
+    if (data.length >= 26) {
+      location.lbs = this.parseLbs(data, 18);
+    }
+
+    return location;
+  }
+
+  parseGpsLbsLocation(data) {
+    // 0x22: GPS(18) + LBS(8) + ACC(1) + modo de upload(1) + reenvio(1) + odômetro(4)
+    if (data.length < 26) {
+      throw new Error("Invalid GPS/LBS data length");
+    }
+
+    const location = {
       type: "location",
-      timestamp: dateTime,
-      latitude: latitude,
-      longitude: longitude,
-      speed: speed,
-      course: course,
-      satellites: quantity & 0x0f,
-      gpsFixed: (quantity & 0x10) > 0,
+      ...this.parseGpsBlock(data, 0),
+      lbs: this.parseLbs(data, 18),
     };
+
+    if (data.length >= 27) {
+      location.acc = data[26] === 0x01;
+    }
+    if (data.length >= 28) {
+      location.uploadMode = data[27];
+    }
+    if (data.length >= 29) {
+      location.realTime = data[28] === 0x00;
+    }
+    if (data.length >= 33) {
+      location.mileage = data.readUInt32BE(29);
+    }
+
+    return location;
   }
 
-  parseHeartbeat(data) {
+  parseLbsLocation(data) {
+    // 0x17 / 0x1A: posição apenas por LBS (data/hora opcional)
+    const hasDateTime = data.length >= 14;
+    const offset = hasDateTime ? 6 : 0;
+
+    if (data.length < offset + 8) {
+      throw new Error("Invalid LBS data length");
+    }
+
     return {
+      type: "lbs",
+      timestamp: hasDateTime
+        ? this.parseDateTime(data.slice(0, 6))
+        : new Date(),
+      lbs: this.parseLbs(data, offset),
+    };
+  }
+
+  parseHeartbeat(data) {
+    const heartbeat = {
       type: "heartbeat",
       timestamp: new Date(),
       data: data,
     };
+
+    // Terminal info(1) + nível de tensão(1) + sinal GSM(1) + idioma(2)
+    if (data.length >= 3) {
+      Object.assign(heartbeat, this.parseStatusBlock(data, 0));
+    }
+
+    return heartbeat;
   }
 
   parseAlarm(data) {
-    if (data.length < 21) {
+    // 0x16 / 0x26: GPS(18) + tamanho LBS(1) + LBS(8) + status(5)
+    if (data.length < 32) {
       throw new Error("Invalid alarm data length");
     }
 
-    const dateTime = this.parseDateTime(data.slice(0, 6));
-    const quantity = data[6];
-    const latitude = this.parseCoordinate(data.slice(7, 11));
-    const longitude = this.parseCoordinate(data.slice(11, 15));
-    const speed = data[15];
-    const course = data.readUInt16BE(16);
-    const alarmType = data[18];
+    const lbsLength = data[18];
+    const statusOffset = 18 + Math.max(lbsLength, 9);
+    const status = this.parseStatusBlock(data, statusOffset);
+    const alarmCode =
+      data.length > statusOffset + 3 ? data[statusOffset + 3] : 0x00;
 
-    let alarmMessage = "Unknown alarm";
-    switch (alarmType) {
-      case 0x00:
-        alarmMessage = "Normal";
-        break;
-      case 0x01:
-        alarmMessage = "SOS";
-        break;
-      case 0x02:
-        alarmMessage = "Power Cut";
-        break;
-      case 0x03:
-        alarmMessage = "Vibration";
+    return {
+      type: "alarm",
+      ...this.parseGpsBlock(data, 0),
+      lbs: this.parseLbs(data, 19),
+      ...status,
+      alarmType: this.getAlarmName(alarmCode),
+      alarmCode: alarmCode,
+    };
+  }
+
+  parseInformation(data) {
+    // 0x94: tipo da informação(1) + conteúdo
+    if (data.length < 1) {
+      throw new Error("Invalid information data length");
+    }
+
+    const infoType = data[0];
+    const content = data.slice(1);
+    const info = {
+      type: "info",
+      timestamp: new Date(),
+      infoType: infoType,
+    };
+
+    switch (infoType) {
+      case 0x00: // Tensão da alimentação externa (centésimos de volt)
+        if (content.length < 2) {
+          throw new Error("Invalid external voltage length");
+        }
+        info.externalVoltage = content.readUInt16BE(0) / 100;
         break;
-      case 0x04:
-        alarmMessage = "Fence In";
+      case 0x04: // Sincronização de status (texto "CHAVE=VALOR;...")
+        info.status = this.parseStatusSync(content.toString("ascii"));
+        if (info.status.ACC !== undefined) {
+          info.ignition = info.status.ACC === "1" || info.status.ACC === "ON";
+        }
         break;
-      case 0x05:
-        alarmMessage = "Fence Out";
+      case 0x05: // Status de porta / ignição
+        if (content.length < 1) {
+          throw new Error("Invalid door status length");
+        }
+        info.door = (content[0] & 0x01) > 0;
+        info.doorTriggerHigh = (content[0] & 0x02) > 0;
+        info.ignition = (content[0] & 0x04) > 0;
         break;
-      case 0x06:
-        alarmMessage = "Over Speed";
+      case 0x0a: // IMEI(8) + IMSI(8) + ICCID(10)
+        info.imsi = content.slice(8, 16).toString("hex");
+        info.iccid = content.slice(16, 26).toString("hex");
         break;
+      default:
+        info.content = content.toString("hex");
     }
 
+    return info;
+  }
+
+  parseTimeRequest(data) {
     return {
-      type: "alarm",
-      timestamp: dateTime,
+      type: "time_request",
+      timestamp: new Date(),
+    };
+  }
+
+  /**
+   * Bloco GPS comum: data/hora(6) + satélites(1) + lat(4) + lon(4) + velocidade(1) + curso/status(2)
+   */
+  parseGpsBlock(data, offset) {
+    const quantity = data[offset + 6];
+    const courseStatus = data.readUInt16BE(offset + 16);
+
+    let latitude = this.parseCoordinate(data.slice(offset + 7, offset + 11));
+    let longitude = this.parseCoordinate(data.slice(offset + 11, offset + 15));
+
+    // bit 10 = latitude norte, bit 11 = longitude oeste
+    if (!(courseStatus & 0x0400)) {
+      latitude = -latitude;
+    }
+    if (courseStatus & 0x0800) {
+      longitude = -longitude;
+    }
+
+    return {
+      timestamp: this.parseDateTime(data.slice(offset, offset + 6)),
       latitude: latitude,
       longitude: longitude,
-      speed: speed,
-      course: course,
-      alarmType: alarmMessage,
-      alarmCode: alarmType,
+      speed: data[offset + 15],
+      course: courseStatus & 0x03ff,
+      satellites: quantity & 0x0f,
+      gpsFixed: (courseStatus & 0x1000) > 0,
+      realTime: (courseStatus & 0x2000) === 0,
+    };
+  }
+
+  /**
+   * Bloco LBS: MCC(2) + MNC(1) + LAC(2) + Cell ID(3)
+   */
+  parseLbs(data, offset) {
+    return {
+      mcc: data.readUInt16BE(offset),
+      mnc: data[offset + 2],
+      lac: data.readUInt16BE(offset + 3),
+      cellId: data.readUIntBE(offset + 5, 3),
+    };
+  }
+
+  /**
+   * Bloco de status: terminal info(1) + nível de tensão(1) + sinal GSM(1)
+   */
+  parseStatusBlock(data, offset) {
+    const info = data[offset];
+
+    return {
+      terminalInfo: {
+        fuelCut: (info & 0x80) > 0,
+        gpsTracking: (info & 0x40) > 0,
+        alarm: (info >> 3) & 0x07,
+        charging: (info & 0x04) > 0,
+        acc: (info & 0x02) > 0,
+        armed: (info & 0x01) > 0,
+      },
+      acc: (info & 0x02) > 0,
+      voltageLevel: data[offset + 1],
+      gsmSignal: data[offset + 2],
     };
   }
 
+  /**
+   * Posição normalizada (odômetro do 0x22 em metros, nível de tensão 0-6)
+   */
+  normalizePosition(record) {
+    return createPosition(record, {
+      ignition: record.acc,
+      charge: record.terminalInfo ? record.terminalInfo.charging : undefined,
+      batteryLevel:
+        record.voltageLevel !== undefined
+          ? Math.round((Math.min(record.voltageLevel, 6) * 100) / 6)
+          : undefined,
+      rssi: record.gsmSignal,
+      odometer: record.mileage,
+    });
+  }
+
+  parseStatusSync(text) {
+    const status = {};
+    for (const pair of text.split(";")) {
+      const [key, value] = pair.split("=");
+      if (key && value !== undefined) {
+        status[key.trim()] = value.trim();
+      }
+    }
+    return status;
+  }
+
+  getAlarmName(alarmCode) {
+    switch (alarmCode) {
+      case 0x00:
+        return "Normal";
+      case 0x01:
+        return "SOS";
+      case 0x02:
+        return "Power Cut";
+      case 0x03:
+      case 0x09:
+        return "Vibration";
+      case 0x04:
+        return "Fence In";
+      case 0x05:
+        return "Fence Out";
+      case 0x06:
+        return "Over Speed";
+      case 0x0e:
+      case 0x0f:
+        return "Low Battery";
+      case 0x11:
+        return "Power Off";
+      case 0x13:
+        return "Tampering";
+      case 0x14:
+        return "Door";
+      default:
+        return "Unknown alarm";
+    }
+  }
+
+  /**
+   * 0x15: tamanho(1) + server flag(4) + resposta ASCII [+ idioma(2)]
+   */
   parseCommandResponse(data) {
+    if (data.length < 5) {
+      throw new Error("Invalid command response length");
+    }
+
+    const length = Math.min(data[0], data.length - 1);
+
     return {
       type: "response",
       timestamp: new Date(),
-      response: data.toString("hex"),
-      data: data,
+      serverFlag: data.readUInt32BE(1),
+      response: data.toString("ascii", 5, 1 + length),
+    };
+  }
+
+  /**
+   * 0x21: server flag(4) + codificação(1) + resposta (1 = ASCII, 2 = UTF-16BE)
+   */
+  parseLongCommandResponse(data) {
+    if (data.length < 5) {
+      throw new Error("Invalid command response length");
+    }
+
+    const encoding = data[4];
+    const content = data.slice(5);
+
+    // UTF-16BE convertido em uma cópia (swap16 altera o buffer do frame);
+    // conteúdo com tamanho ímpar é lido como ASCII
+    const response =
+      encoding === 2 && content.length % 2 === 0
+        ? Buffer.from(content).swap16().toString("utf16le")
+        : content.toString("ascii");
+
+    return {
+      type: "response",
+      timestamp: new Date(),
+      serverFlag: data.readUInt32BE(0),
+      response: response,
     };
   }
 
   parseIMEI(buffer) {
-    // IMEI está codificado em BCD
+    // IMEI está codificado em BCD (16 dígitos, com zero à esquerda)
     let imei = "";
     for (let i = 0; i < buffer.length; i++) {
       imei += buffer[i].toString(16).padStart(2, "0");
     }
-    return imei;
+    return imei.length === 16 && imei[0] === "0" ? imei.substring(1) : imei;
   }
 
   parseDateTime(buffer) {
+    // GT06 envia data/hora em UTC
     const year = 2000 + buffer[0];
     const month = buffer[1] - 1; // JavaScript months are 0-based
     const day = buffer[2];
@@ -302,7 +812,7 @@ class GT06Parser {
     const minute = buffer[4];
     const second = buffer[5];
 
-    return new Date(year, month, day, hour, minute, second);
+    return new Date(Date.UTC(year, month, day, hour, minute, second));
   }
 
   parseCoordinate(buffer) {
@@ -310,180 +820,1984 @@ class GT06Parser {
     return value / 1800000.0; // Converter para graus decimais
   }
 
-  // Comandos para enviar ao dispositivo
-  buildCommand(command, parameters) {
+  // Comandos para enviar ao dispositivo (texto via 0x80)
+  // reference é usado como server flag, devolvido pelo dispositivo no 0x15
+  buildCommand(command, parameters = {}, imei = null, reference = 0) {
+    const password = parameters.password || "000000";
+
     switch (command) {
       case "locate":
-        return this.buildLocateCommand();
+        return this.buildTextCommand("WHERE#", reference);
       case "reboot":
-        return this.buildRebootCommand();
+        return this.buildTextCommand("RESET#", reference);
       case "engine_stop":
-        return this.buildEngineCommand(true);
+        return this.buildTextCommand(`DYD,${password}#`, reference);
       case "engine_resume":
-        return this.buildEngineCommand(false);
+        return this.buildTextCommand(`HFYD,${password}#`, reference);
+      case "factory_reset":
+        return this.buildTextCommand("FACTORY#", reference);
+      case "set_interval":
+        return this.buildTextCommand(
+          `TIMER,${parameters.interval}#`,
+          reference
+        );
+      case "set_apn": {
+        const fields = [parameters.apn, parameters.user, parameters.password];
+        return this.buildTextCommand(
+          `APN,${fields.filter((field) => field).join(",")}#`,
+          reference
+        );
+      }
+      case "set_server": {
+        // 0 = endereço IP, 1 = domínio
+        const mode = /^[\d.]+$/.test(parameters.host) ? 0 : 1;
+        return this.buildTextCommand(
+          `SERVER,${mode},${parameters.host},${parameters.port},0#`,
+          reference
+        );
+      }
+      case "set_timezone": {
+        const offset = Math.abs(parameters.offset);
+        const hours = Math.floor(offset);
+        const minutes = Math.round((offset - hours) * 60);
+        const direction = parameters.offset < 0 ? "W" : "E";
+        return this.buildTextCommand(
+          `GMT,${direction},${hours},${minutes}#`,
+          reference
+        );
+      }
+      case "overspeed":
+        // SPEED,ON,<tempo acima do limite (s)>,<velocidade>,<modo de alarme>#
+        return this.buildTextCommand(
+          `SPEED,ON,20,${parameters.speed},1#`,
+          reference
+        );
+      case "custom":
+        return this.buildTextCommand(
+          ProtocolParser.decodePayload(parameters),
+          reference
+        );
       default:
         return null;
     }
   }
 
-  buildLocateCommand() {
-    // Comando para solicitar posição atual
-    const data = Buffer.from([0x80, 0x01, 0x01, 0x01]);
-    return this.wrapCommand(data);
-  }
+  /**
+   * 0x80: tamanho(1) + server flag(4) + comando ASCII + idioma(2)
+   */
+  buildTextCommand(text, serverFlag = 0) {
+    const command = Buffer.isBuffer(text) ? text : Buffer.from(text, "ascii");
+    const content = Buffer.alloc(1 + 4 + command.length + 2);
 
-  buildRebootCommand() {
-    // Comando para reiniciar dispositivo
-    const data = Buffer.from([0x80, 0x02, 0x01, 0x01]);
-    return this.wrapCommand(data);
-  }
+    content[0] = 4 + command.length;
+    content.writeUInt32BE(serverFlag >>> 0, 1);
+    command.copy(content, 5);
+    content.writeUInt16BE(this.LANGUAGE_ENGLISH, 5 + command.length);
 
-  buildEngineCommand(stop) {
-    // Comando para parar/religar motor
-    const action = stop ? 0x01 : 0x00;
-    const data = Buffer.from([0x80, 0x05, 0x01, action]);
-    return this.wrapCommand(data);
+    return this.buildPacket(0x80, content, this.nextSerial());
   }
 
-  wrapCommand(data) {
-    const length = data.length + 1; // +1 para o protocol number
-    const buffer = Buffer.alloc(length + 5); // start(2) + length(1) + data + crc(2)
+  /**
+   * Montar pacote GT06 completo (start bits, tamanho, serial, CRC e stop bits)
+   */
+  buildPacket(protocolNumber, content = Buffer.alloc(0), serial = 0) {
+    const length = content.length + 5; // protocol(1) + conteúdo + serial(2) + crc(2)
+    const lengthSize = length > 0xff ? 2 : 1;
+    const startBit = lengthSize === 2 ? this.START_BIT_LONG : this.START_BIT;
+    const buffer = Buffer.alloc(2 + lengthSize + length + 2);
+
+    buffer[0] = startBit;
+    buffer[1] = startBit;
+
+    let offset = 2;
+    if (lengthSize === 2) {
+      buffer.writeUInt16BE(length, offset);
+    } else {
+      buffer[offset] = length;
+    }
+    offset += lengthSize;
+
+    buffer[offset++] = protocolNumber;
+    content.copy(buffer, offset);
+    offset += content.length;
+    buffer.writeUInt16BE(serial & 0xffff, offset);
+    offset += 2;
 
-    buffer[0] = this.START_BIT;
-    buffer[1] = this.START_BIT;
-    buffer[2] = length;
-    data.copy(buffer, 3);
+    const crc = this.calculateCRC(buffer.slice(2, offset));
+    buffer.writeUInt16BE(crc, offset);
+    offset += 2;
 
-    // CRC simples (pode ser melhorado)
-    const crc = this.calculateCRC(buffer.slice(2, 3 + length));
-    buffer.writeUInt16BE(crc, 3 + length);
+    buffer[offset++] = this.STOP_BIT;
+    buffer[offset] = this.STOP_BIT2;
 
     return buffer;
   }
 
+  /**
+   * CRC-ITU (CRC-16/X.25) usado pelo protocolo GT06
+   */
   calculateCRC(data) {
-    let crc = 0;
+    let crc = 0xffff;
     for (let i = 0; i < data.length; i++) {
-      crc += data[i];
+      crc ^= data[i];
+      for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 1 ? (crc >>> 1) ^ 0x8408 : crc >>> 1;
+      }
+    }
+    return ~crc & 0xffff;
+  }
+
+  nextSerial() {
+    this.serial = (this.serial + 1) & 0xffff;
+    return this.serial;
+  }
+
+  buildAuthResponse(success) {
+    // GT06 confirma o login em buildLoginResponse (ecoando o serial recebido)
+    return null;
+  }
+
+  buildLoginResponse(success, message = {}) {
+    // Dispositivos GT06 não possuem resposta de login negativa
+    if (!success) {
+      return null;
+    }
+    return this.buildPacket(0x01, Buffer.alloc(0), message.serial || 0);
+  }
+
+  buildLocationAck(sequence, message = {}) {
+    // ACK ecoa o protocol number e o serial da mensagem recebida
+    const serial = message.serial !== undefined ? message.serial : sequence;
+    return this.buildPacket(
+      message.protocolNumber || 0x12,
+      Buffer.alloc(0),
+      serial || 0
+    );
+  }
+
+  buildHeartbeatResponse(message = {}) {
+    return this.buildPacket(0x13, Buffer.alloc(0), message.serial || 0);
+  }
+
+  buildTimeResponse(serial = 0) {
+    // Resposta 0x8A: data/hora atual em UTC (AA MM DD HH MM SS)
+    const now = new Date();
+    const content = Buffer.from([
+      now.getUTCFullYear() - 2000,
+      now.getUTCMonth() + 1,
+      now.getUTCDate(),
+      now.getUTCHours(),
+      now.getUTCMinutes(),
+      now.getUTCSeconds(),
+    ]);
+    return this.buildPacket(0x8a, content, serial);
+  }
+}
+
+/**
+ * Parser para protocolo TK103 (outro protocolo comum)
+ */
+class TK103Parser {
+  constructor() {
+    this.TERMINATOR = 0x3b; // ";"
+
+    // Palavras-chave do campo 1 que representam alarmes
+    this.ALARM_KEYWORDS = {
+      "help me": "SOS",
+      "low battery": "Low Battery",
+      move: "Movement",
+      speed: "Over Speed",
+      "ac alarm": "Power Cut",
+      "door alarm": "Door",
+      "sensor alarm": "Vibration",
+      stockade: "Geofence",
+    };
+  }
+
+  parse(buffer) {
+    const data = buffer.toString("ascii");
+
+    if (
+      !data.startsWith("##") &&
+      !data.startsWith("imei:") &&
+      !/^\d{15}/.test(data)
+    ) {
+      return { success: false, error: "Not TK103 protocol" };
+    }
+
+    const end = buffer.indexOf(this.TERMINATOR);
+    if (end === -1) {
+      return { success: false, error: "Incomplete packet" };
+    }
+
+    return this.parseTK103Message(data.substring(0, end), end + 1);
+  }
+
+  parseTK103Message(message, bytesProcessed) {
+    // TK103 usa mensagens ASCII terminadas em ";"
+    // Login: ##,imei:359710045490084,A;
+    // Heartbeat: 359710045490084;
+    // Posição: imei:359710045490084,tracker,0809231929,,F,112909.397,A,2234.4669,N,11354.3287,E,0.11,;
+    let parsedData = null;
+
+    if (message.startsWith("##")) {
+      const parts = message.split(",");
+      if (parts.length < 2 || !parts[1].startsWith("imei:")) {
+        return { success: false, error: "Invalid TK103 message" };
+      }
+
+      parsedData = {
+        type: "login",
+        imei: parts[1].substring(5),
+      };
+    } else if (/^\d{15}$/.test(message.trim())) {
+      parsedData = {
+        type: "heartbeat",
+        imei: message.trim(),
+        timestamp: new Date(),
+      };
+    } else if (message.startsWith("imei:")) {
+      parsedData = this.parseTrackerLine(message);
+    } else {
+      return { success: false, error: "Unknown TK103 message type" };
+    }
+
+    parsedData.raw = message + ";";
+
+    return {
+      success: true,
+      data: parsedData,
+      bytesProcessed: bytesProcessed,
+    };
+  }
+
+  /**
+   * Decodificar linha "imei:<imei>,<palavra-chave>,..." em localização ou alarme
+   */
+  parseTrackerLine(message) {
+    const parts = message.split(",");
+    const imei = parts[0].substring(5);
+    const keyword = (parts[1] || "").trim().toLowerCase();
+
+    const parsedData = {
+      type: "location",
+      imei: imei,
+      keyword: keyword,
+    };
+
+    if (keyword === "acc on" || keyword === "acc off") {
+      parsedData.acc = keyword === "acc on";
+    }
+
+    if (this.ALARM_KEYWORDS[keyword]) {
+      parsedData.type = "alarm";
+      parsedData.alarmType = this.ALARM_KEYWORDS[keyword];
+    } else if (keyword.startsWith("speed")) {
+      // Alguns firmwares enviam "speed,<limite>"
+      parsedData.type = "alarm";
+      parsedData.alarmType = "Over Speed";
+    }
+
+    if (parts[4] === "L") {
+      // Sem GPS: apenas LAC e Cell ID (hexadecimal)
+      parsedData.timestamp = this.parseDateTime(parts[2], "");
+      parsedData.lbs = {
+        lac: parseInt(parts[7], 16),
+        cellId: parseInt(parts[9], 16),
+      };
+      if (parsedData.type === "location") {
+        parsedData.type = "lbs";
+      }
+      return parsedData;
+    }
+
+    if (parts.length < 12) {
+      throw new Error("Invalid TK103 position message");
+    }
+
+    const latitude = this.parseCoordinate(parts[7]);
+    const longitude = this.parseCoordinate(parts[9]);
+
+    return Object.assign(parsedData, {
+      timestamp: this.parseDateTime(parts[2], parts[5]),
+      latitude: parts[8] === "S" ? -latitude : latitude,
+      longitude: parts[10] === "W" ? -longitude : longitude,
+      speed: this.knotsToKmh(parseFloat(parts[11])),
+      course: parts[12] ? parseFloat(parts[12]) || 0 : 0,
+      validity: parts[6] === "A",
+      gpsFixed: parts[4] === "F",
+    });
+  }
+
+  /**
+   * Posição normalizada
+   */
+  normalizePosition(record) {
+    return createPosition(record, {
+      ignition: record.acc,
+    });
+  }
+
+  parseCoordinate(coordStr) {
+    // Formato: DDMM.MMMM (latitude) ou DDDMM.MMMM (longitude)
+    const coord = parseFloat(coordStr);
+    if (isNaN(coord)) return 0;
+
+    const degrees = Math.floor(coord / 100);
+    const minutes = coord % 100;
+    return degrees + minutes / 60;
+  }
+
+  parseDateTime(date, time) {
+    // date: YYMMDDHHMM[SS] (horário local do dispositivo), time: HHMMSS.sss (UTC)
+    if (!date || date.length < 6) {
+      return new Date();
+    }
+
+    const year = 2000 + parseInt(date.substring(0, 2), 10);
+    const month = parseInt(date.substring(2, 4), 10) - 1;
+    const day = parseInt(date.substring(4, 6), 10);
+
+    if (time && time.length >= 6) {
+      return new Date(
+        Date.UTC(
+          year,
+          month,
+          day,
+          parseInt(time.substring(0, 2), 10),
+          parseInt(time.substring(2, 4), 10),
+          parseInt(time.substring(4, 6), 10)
+        )
+      );
+    }
+
+    return new Date(
+      year,
+      month,
+      day,
+      parseInt(date.substring(6, 8), 10) || 0,
+      parseInt(date.substring(8, 10), 10) || 0,
+      parseInt(date.substring(10, 12), 10) || 0
+    );
+  }
+
+  knotsToKmh(knots) {
+    return isNaN(knots) ? 0 : Math.round(knots * 1.852 * 100) / 100;
+  }
+
+  // Comandos para enviar ao dispositivo
+  buildCommand(command, parameters = {}, imei = null) {
+    if (!imei) {
+      return null;
+    }
+
+    switch (command) {
+      case "locate":
+        return this.wrapCommand(imei, "B");
+      case "set_interval":
+        return this.wrapCommand(
+          imei,
+          "C",
+          this.formatInterval(parameters.interval || 60)
+        );
+      case "engine_stop":
+        return this.wrapCommand(imei, "J");
+      case "engine_resume":
+        return this.wrapCommand(imei, "K");
+      case "arm":
+        return this.wrapCommand(imei, "L");
+      case "disarm":
+        return this.wrapCommand(imei, "M");
+      case "overspeed":
+        return this.wrapCommand(
+          imei,
+          "H",
+          String(parameters.speed).padStart(3, "0")
+        );
+      case "custom":
+        return this.wrapCommand(
+          imei,
+          ProtocolParser.decodePayload(parameters).toString("ascii")
+        );
+      default:
+        return null;
+    }
+  }
+
+  wrapCommand(imei, code, argument = null) {
+    // **,imei:<imei>,<código>[,argumento];
+    const fields = ["**", `imei:${imei}`, code];
+    if (argument) {
+      fields.push(argument);
+    }
+    return Buffer.from(`${fields.join(",")};`, "ascii");
+  }
+
+  formatInterval(seconds) {
+    // Intervalo no formato do TK103: 30s, 05m, 01h
+    const value = Math.max(1, parseInt(seconds, 10) || 60);
+    if (value < 60) {
+      return `${String(value).padStart(2, "0")}s`;
+    }
+    if (value < 3600) {
+      return `${String(Math.round(value / 60)).padStart(2, "0")}m`;
+    }
+    return `${String(Math.min(99, Math.round(value / 3600))).padStart(2, "0")}h`;
+  }
+
+  buildAuthResponse(success) {
+    // TK103 confirma o login em buildLoginResponse
+    return null;
+  }
+
+  buildLoginResponse(success) {
+    return success ? Buffer.from("LOAD", "ascii") : null;
+  }
+
+  buildLocationAck(sequence) {
+    return Buffer.from("ON", "ascii");
+  }
+
+  buildHeartbeatResponse() {
+    return Buffer.from("ON", "ascii");
+  }
+}
+
+/**
+ * Parser para protocolo H02
+ */
+class H02Parser {
+  constructor() {
+    this.TEXT_START = 0x2a; // "*"
+    this.TEXT_END = 0x23; // "#"
+    this.BINARY_START = 0x24; // "$"
+    this.BINARY_LENGTH = 32;
+    this.BINARY_LENGTH_LONG = 45;
+  }
+
+  parse(buffer) {
+    if (buffer.length === 0) {
+      return { success: false, error: "Buffer too small" };
+    }
+
+    if (buffer[0] === this.TEXT_START) {
+      return this.parseTextFrame(buffer);
+    }
+
+    if (buffer[0] === this.BINARY_START) {
+      return this.parseBinaryFrame(buffer);
+    }
+
+    return { success: false, error: "Not H02 protocol" };
+  }
+
+  /**
+   * Frame texto: *HQ,<id>,<comando>,...#
+   */
+  parseTextFrame(buffer) {
+    if (buffer.length < 4 || buffer.toString("ascii", 1, 3) !== "HQ") {
+      return { success: false, error: "Not H02 protocol" };
+    }
+
+    const end = buffer.indexOf(this.TEXT_END);
+    if (end === -1) {
+      return { success: false, error: "Incomplete packet" };
+    }
+
+    const message = buffer.toString("ascii", 0, end);
+    const parts = message.split(",");
+
+    if (parts.length < 3) {
+      return { success: false, error: "Invalid H02 message" };
+    }
+
+    const imei = parts[1];
+    const messageType = parts[2];
+    let parsedData;
+
+    switch (messageType) {
+      case "V1":
+      case "V19":
+        parsedData = this.parseTextLocation(parts);
+        break;
+      case "V4":
+        parsedData = {
+          type: "response",
+          timestamp: new Date(),
+          command: parts[3],
+          response: parts.slice(3).join(","),
+        };
+        break;
+      case "NBR":
+        parsedData = this.parseTextLbs(parts);
+        break;
+      case "LINK":
+      case "HTBT":
+      case "XT":
+        parsedData = {
+          type: "heartbeat",
+          timestamp: new Date(),
+        };
+        break;
+      default:
+        parsedData = {
+          type: "unknown",
+          messageType: messageType,
+        };
+    }
+
+    parsedData.imei = imei;
+    parsedData.raw = message + "#";
+
+    return {
+      success: true,
+      data: parsedData,
+      bytesProcessed: end + 1,
+    };
+  }
+
+  parseTextLocation(parts) {
+    // *HQ,id,V1,HHMMSS,A,DDMM.MMMM,N,DDDMM.MMMM,E,velocidade,curso,DDMMYY,status[,MCC,MNC,LAC,CID]
+    if (parts.length < 13) {
+      throw new Error("Invalid H02 location message");
+    }
+
+    const latitude = this.parseCoordinate(parts[5]);
+    const longitude = this.parseCoordinate(parts[7]);
+    // Status fora do formato (8 dígitos hexadecimais) não gera alarmes
+    const status = /^[0-9A-F]{8}$/i.test(parts[12])
+      ? this.parseStatus(parseInt(parts[12], 16))
+      : null;
+
+    const location = {
+      type: "location",
+      timestamp: this.parseDateTime(parts[11], parts[3]),
+      latitude: parts[6] === "S" ? -latitude : latitude,
+      longitude: parts[8] === "W" ? -longitude : longitude,
+      speed: this.knotsToKmh(parseFloat(parts[9])),
+      course: parseFloat(parts[10]) || 0,
+      validity: parts[4] === "A",
+      status: status,
+      acc: status ? status.acc : undefined,
+    };
+
+    if (parts.length >= 17) {
+      location.lbs = {
+        mcc: parseInt(parts[13], 10),
+        mnc: parseInt(parts[14], 10),
+        lac: parseInt(parts[15], 10),
+        cellId: parseInt(parts[16], 10),
+      };
+    }
+
+    return this.applyAlarm(location);
+  }
+
+  parseTextLbs(parts) {
+    // *HQ,id,NBR,HHMMSS,MCC,MNC,TA,quantidade,LAC,CID,RSSI,...,DDMMYY,status
+    if (parts.length < 11) {
+      throw new Error("Invalid H02 LBS message");
+    }
+
+    return {
+      type: "lbs",
+      timestamp: new Date(),
+      lbs: {
+        mcc: parseInt(parts[4], 10),
+        mnc: parseInt(parts[5], 10),
+        lac: parseInt(parts[8], 10),
+        cellId: parseInt(parts[9], 10),
+      },
+    };
+  }
+
+  /**
+   * Frame binário: $ + id(5) + hora(3) + data(3) + lat(4) + bateria(1) + lon(5) + velocidade/curso(3) + status(4)
+   */
+  parseBinaryFrame(buffer) {
+    let length = this.BINARY_LENGTH;
+
+    // Frames longos: o próximo frame não começa logo após 32 bytes
+    if (
+      buffer.length >= this.BINARY_LENGTH_LONG &&
+      buffer[this.BINARY_LENGTH] !== this.BINARY_START &&
+      buffer[this.BINARY_LENGTH] !== this.TEXT_START
+    ) {
+      length = this.BINARY_LENGTH_LONG;
+    }
+
+    if (buffer.length < length) {
+      return { success: false, error: "Incomplete packet" };
+    }
+
+    const bcd = buffer.slice(1, 29).toString("hex");
+    const invalid = this.validateBinaryFields(bcd);
+    if (invalid) {
+      return { success: false, error: invalid };
+    }
+
+    const imei = bcd.substring(0, 10);
+    const time = bcd.substring(10, 16); // HHMMSS
+    const date = bcd.substring(16, 22); // DDMMYY
+    const latStr = bcd.substring(22, 30); // DDMMmmmm
+    const battery = buffer[16];
+    const lonStr = bcd.substring(32, 41); // DDDMMmmmm
+    const flags = parseInt(bcd[41], 16);
+    const speed = parseInt(bcd.substring(42, 45), 10);
+    const course = parseInt(bcd.substring(45, 48), 10);
+    const status = this.parseStatus(buffer.readUInt32BE(25));
+
+    let latitude =
+      parseInt(latStr.substring(0, 2), 10) +
+      parseFloat(`${latStr.substring(2, 4)}.${latStr.substring(4)}`) / 60;
+    let longitude =
+      parseInt(lonStr.substring(0, 3), 10) +
+      parseFloat(`${lonStr.substring(3, 5)}.${lonStr.substring(5)}`) / 60;
+
+    // bit 2 = norte, bit 3 = leste
+    if (!(flags & 0x04)) {
+      latitude = -latitude;
+    }
+    if (!(flags & 0x08)) {
+      longitude = -longitude;
+    }
+
+    const location = this.applyAlarm({
+      type: "location",
+      imei: imei,
+      timestamp: this.parseDateTime(date, time),
+      latitude: latitude,
+      longitude: longitude,
+      speed: this.knotsToKmh(speed),
+      course: course,
+      validity: (flags & 0x02) > 0,
+      batteryLevel: battery,
+      status: status,
+      acc: status.acc,
+      raw: buffer.slice(0, length).toString("hex"),
+    });
+
+    return {
+      success: true,
+      data: location,
+      bytesProcessed: length,
+    };
+  }
+
+  /**
+   * Validar os campos BCD do frame binário (dígitos, data/hora e
+   * coordenadas), já que qualquer "$" seguido de 31 bytes teria o tamanho
+   * Retorna a mensagem de erro ou null
+   */
+  validateBinaryFields(bcd) {
+    // Bateria (posições 30-31), flags (41) e status (48+) não são BCD
+    const digits =
+      bcd.substring(0, 30) + bcd.substring(32, 41) + bcd.substring(42, 48);
+    if (!/^\d+$/.test(digits)) {
+      return "Invalid H02 BCD digit";
+    }
+
+    const field = (start, end) => parseInt(bcd.substring(start, end), 10);
+
+    if (field(10, 12) > 23 || field(12, 14) > 59 || field(14, 16) > 59) {
+      return "Invalid H02 time";
+    }
+
+    const day = field(16, 18);
+    const month = field(18, 20);
+    if (day < 1 || day > 31 || month < 1 || month > 12) {
+      return "Invalid H02 date";
+    }
+
+    if (field(22, 24) > 90 || field(24, 26) > 59) {
+      return "Invalid H02 latitude";
+    }
+
+    if (field(32, 35) > 180 || field(35, 37) > 59) {
+      return "Invalid H02 longitude";
+    }
+
+    return null;
+  }
+
+  /**
+   * Bitfield de status H02 (bits ativos em nível baixo)
+   */
+  parseStatus(value) {
+    return {
+      raw: value.toString(16).toUpperCase().padStart(8, "0"),
+      vibration: !(value & 0x00000001),
+      sos: !(value & 0x00000002) || !(value & 0x00040000),
+      overspeed: !(value & 0x00000004) || !(value & 0x00004000),
+      powerCut: !(value & 0x00080000),
+      acc: (value & 0x00000400) > 0,
+    };
+  }
+
+  /**
+   * Converter mensagem de localização em alarme quando algum bit de alarme estiver ativo
+   */
+  applyAlarm(location) {
+    const { status } = location;
+    let alarmType = null;
+
+    if (!status) {
+      return location;
+    }
+
+    if (status.sos) {
+      alarmType = "SOS";
+    } else if (status.powerCut) {
+      alarmType = "Power Cut";
+    } else if (status.overspeed) {
+      alarmType = "Over Speed";
+    } else if (status.vibration) {
+      alarmType = "Vibration";
+    }
+
+    if (alarmType) {
+      location.type = "alarm";
+      location.alarmType = alarmType;
+    }
+
+    return location;
+  }
+
+  /**
+   * Posição normalizada (bitfield de status mantido em hexadecimal)
+   */
+  normalizePosition(record) {
+    return createPosition(record, {
+      ignition: record.acc,
+      batteryLevel: record.batteryLevel,
+      status: record.status ? record.status.raw : undefined,
+    });
+  }
+
+  parseCoordinate(coordStr) {
+    // Formato: DDMM.MMMM (latitude) ou DDDMM.MMMM (longitude)
+    const coord = parseFloat(coordStr);
+    if (isNaN(coord)) return 0;
+
+    const degrees = Math.floor(coord / 100);
+    const minutes = coord % 100;
+    return degrees + minutes / 60;
+  }
+
+  parseDateTime(date, time) {
+    // date: DDMMYY, time: HHMMSS (UTC)
+    if (!date || date.length < 6 || !time || time.length < 6) {
+      return new Date();
+    }
+
+    return new Date(
+      Date.UTC(
+        2000 + parseInt(date.substring(4, 6), 10),
+        parseInt(date.substring(2, 4), 10) - 1,
+        parseInt(date.substring(0, 2), 10),
+        parseInt(time.substring(0, 2), 10),
+        parseInt(time.substring(2, 4), 10),
+        parseInt(time.substring(4, 6), 10)
+      )
+    );
+  }
+
+  knotsToKmh(knots) {
+    return isNaN(knots) ? 0 : Math.round(knots * 1.852 * 100) / 100;
+  }
+
+  // Comandos para enviar ao dispositivo
+  buildCommand(command, parameters = {}, imei = null) {
+    if (!imei) {
+      return null;
+    }
+
+    switch (command) {
+      case "engine_stop":
+        return this.wrapCommand(imei, "S20", ["1", "1"]);
+      case "engine_resume":
+        return this.wrapCommand(imei, "S20", ["1", "0"]);
+      case "reboot":
+        return this.wrapCommand(imei, "R1");
+      case "set_interval":
+        return this.wrapCommand(imei, "D1", [
+          String(parameters.interval || 30),
+          "1",
+        ]);
+      case "custom": {
+        // "S71,22,60" → *HQ,<id>,S71,<HHMMSS>,22,60#
+        const [code, ...args] = ProtocolParser.decodePayload(parameters)
+          .toString("ascii")
+          .replace(/#$/, "")
+          .split(",");
+        return this.wrapCommand(imei, code, args);
+      }
+      default:
+        return null;
+    }
+  }
+
+  wrapCommand(imei, command, args = []) {
+    // *HQ,<id>,<comando>,<HHMMSS>[,args]#
+    const now = new Date();
+    const time = [now.getUTCHours(), now.getUTCMinutes(), now.getUTCSeconds()]
+      .map((value) => String(value).padStart(2, "0"))
+      .join("");
+    const fields = ["*HQ", imei, command, time, ...args];
+    return Buffer.from(`${fields.join(",")}#`, "ascii");
+  }
+
+  buildAuthResponse(success) {
+    // H02 não exige resposta de autenticação
+    return null;
+  }
+
+  buildLoginResponse(success) {
+    return null;
+  }
+
+  buildLocationAck(sequence) {
+    return null;
+  }
+
+  buildHeartbeatResponse() {
+    return null;
+  }
+}
+
+/**
+ * Parser para protocolo Teltonika (Codec 8, Codec 8 Extended e Codec 12)
+ */
+class TeltonikaParser {
+  constructor() {
+    this.CODEC_8 = 0x08;
+    this.CODEC_8E = 0x8e;
+    this.CODEC_12 = 0x0c;
+
+    this.COMMAND_TYPE = 0x05;
+    this.RESPONSE_TYPE = 0x06;
+
+    // Elementos IO (FMB) → atributos normalizados
+    // divisor converte a unidade do dispositivo; signed para valores com sinal
+    // null: elemento gravado em coluna própria da posição
+    this.IO_ATTRIBUTES = {
+      1: { name: "input1", boolean: true },
+      2: { name: "input2", boolean: true },
+      3: { name: "input3", boolean: true },
+      9: { name: "adc1", divisor: 1000 },
+      16: { name: "odometer" },
+      21: { name: "rssi" },
+      66: { name: "power", divisor: 1000 },
+      67: { name: "battery", divisor: 1000 },
+      72: { name: "temperature1", divisor: 10, signed: true },
+      73: { name: "temperature2", divisor: 10, signed: true },
+      74: { name: "temperature3", divisor: 10, signed: true },
+      75: { name: "temperature4", divisor: 10, signed: true },
+      89: { name: "fuel" },
+      113: { name: "batteryLevel" },
+      179: { name: "output1", boolean: true },
+      180: { name: "output2", boolean: true },
+      181: { name: "pdop", divisor: 10 },
+      182: null, // HDOP
+      199: { name: "tripOdometer" },
+      239: { name: "ignition", boolean: true },
+      240: { name: "motion", boolean: true },
+    };
+  }
+
+  parse(buffer) {
+    if (buffer.length < 2) {
+      return { success: false, error: "Buffer too small" };
+    }
+
+    // Pacotes AVL começam com 4 bytes zerados (preâmbulo)
+    if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0) {
+      return this.parseDataPacket(buffer);
+    }
+
+    // Datagrama UDP: tamanho(2) + packet ID(2) + 0x01 + AVL packet ID(1) + IMEI + dados AVL
+    if (this.isDatagram(buffer)) {
+      return this.parseDatagram(buffer);
+    }
+
+    // Handshake: tamanho(2) + IMEI em ASCII
+    const imeiLength = buffer.readUInt16BE(0);
+    if (imeiLength < 8 || imeiLength > 17) {
+      return { success: false, error: "Not Teltonika protocol" };
+    }
+
+    if (buffer.length < 2 + imeiLength) {
+      return { success: false, error: "Incomplete packet" };
+    }
+
+    const imei = buffer.toString("ascii", 2, 2 + imeiLength);
+    if (!/^\d+$/.test(imei)) {
+      return { success: false, error: "Not Teltonika protocol" };
+    }
+
+    return {
+      success: true,
+      data: {
+        type: "login",
+        imei: imei,
+      },
+      bytesProcessed: 2 + imeiLength,
+    };
+  }
+
+  /**
+   * Pacote de dados: preâmbulo(4) + tamanho(4) + codec(1) + quantidade(1) + registros + quantidade(1) + CRC(4)
+   */
+  parseDataPacket(buffer) {
+    if (buffer.length < 8) {
+      return { success: false, error: "Incomplete packet" };
+    }
+
+    const dataLength = buffer.readUInt32BE(4);
+    const totalLength = 8 + dataLength + 4;
+
+    if (buffer.length < totalLength) {
+      return { success: false, error: "Incomplete packet" };
+    }
+
+    const data = buffer.slice(8, 8 + dataLength);
+    const expectedCrc = buffer.readUInt32BE(8 + dataLength);
+    const crc = this.calculateCRC(data);
+
+    if (crc !== expectedCrc) {
+      return {
+        success: false,
+        error: `Invalid CRC (expected ${expectedCrc.toString(
+          16
+        )}, got ${crc.toString(16)})`,
+      };
+    }
+
+    const codec = data[0];
+    const count = data[1];
+
+    if (data[data.length - 1] !== count) {
+      return { success: false, error: "Record count mismatch" };
+    }
+
+    let parsedData;
+
+    switch (codec) {
+      case this.CODEC_8:
+      case this.CODEC_8E:
+        parsedData = {
+          type: "batch",
+          records: this.parseRecords(data, codec, count),
+          count: count,
+          // ACK: quantidade de registros recebidos (4 bytes)
+          needsResponse: this.buildRecordsAck(count),
+        };
+        break;
+      case this.CODEC_12:
+        parsedData = this.parseCommandMessage(data);
+        break;
+      default:
+        return {
+          success: false,
+          error: `Unsupported Teltonika codec: 0x${codec.toString(16)}`,
+        };
+    }
+
+    parsedData.codec = codec;
+
+    return {
+      success: true,
+      data: parsedData,
+      bytesProcessed: totalLength,
+    };
+  }
+
+  isDatagram(buffer) {
+    if (buffer.length < 8 || buffer[4] !== 0x01) {
+      return false;
+    }
+
+    const imeiLength = buffer.readUInt16BE(6);
+    return (
+      buffer.readUInt16BE(0) === buffer.length - 2 &&
+      imeiLength >= 8 &&
+      imeiLength <= 17 &&
+      /^\d+$/.test(buffer.toString("ascii", 8, 8 + imeiLength))
+    );
+  }
+
+  /**
+   * Datagrama UDP: dados AVL sem preâmbulo e sem CRC, com o IMEI em todo pacote
+   */
+  parseDatagram(buffer) {
+    const packetId = buffer.readUInt16BE(2);
+    const avlPacketId = buffer[5];
+    const imeiLength = buffer.readUInt16BE(6);
+    const imei = buffer.toString("ascii", 8, 8 + imeiLength);
+    const data = buffer.slice(8 + imeiLength);
+
+    const codec = data[0];
+    const count = data[1];
+
+    if (codec !== this.CODEC_8 && codec !== this.CODEC_8E) {
+      return {
+        success: false,
+        error: `Unsupported Teltonika codec: 0x${codec.toString(16)}`,
+      };
+    }
+
+    // ACK UDP: tamanho(2) + packet ID(2) + 0x01 + AVL packet ID(1) + quantidade aceita(1)
+    const ack = Buffer.alloc(7);
+    ack.writeUInt16BE(5, 0);
+    ack.writeUInt16BE(packetId, 2);
+    ack[4] = 0x01;
+    ack[5] = avlPacketId;
+    ack[6] = count;
+
+    return {
+      success: true,
+      data: {
+        type: "batch",
+        imei: imei,
+        records: this.parseRecords(data, codec, count),
+        count: count,
+        codec: codec,
+        needsResponse: ack,
+      },
+      bytesProcessed: buffer.length,
+    };
+  }
+
+  parseRecords(data, codec, count) {
+    const records = [];
+    let offset = 2;
+
+    for (let i = 0; i < count; i++) {
+      const record = this.parseRecord(data, offset, codec);
+      records.push(record.data);
+      offset = record.offset;
+    }
+
+    return records;
+  }
+
+  /**
+   * Registro AVL: timestamp(8) + prioridade(1) + GPS(15) + elementos IO
+   */
+  parseRecord(data, offset, codec) {
+    const extended = codec === this.CODEC_8E;
+
+    const timestamp = new Date(Number(data.readBigUInt64BE(offset)));
+    const priority = data[offset + 8];
+    offset += 9;
+
+    const longitude = data.readInt32BE(offset) / 10000000;
+    const latitude = data.readInt32BE(offset + 4) / 10000000;
+    const altitude = data.readInt16BE(offset + 8);
+    const course = data.readUInt16BE(offset + 10);
+    const satellites = data[offset + 12];
+    const speed = data.readUInt16BE(offset + 13);
+    offset += 15;
+
+    const readCount = () => {
+      const value = extended ? data.readUInt16BE(offset) : data[offset];
+      offset += extended ? 2 : 1;
+      return value;
+    };
+
+    const eventIoId = readCount();
+    readCount(); // Total de elementos IO
+
+    const io = {};
+    for (const size of [1, 2, 4, 8]) {
+      const elements = readCount();
+      for (let i = 0; i < elements; i++) {
+        const id = readCount();
+        io[id] = this.readIoValue(data, offset, size);
+        offset += size;
+      }
+    }
+
+    // Codec 8E: elementos de tamanho variável
+    if (extended) {
+      const elements = readCount();
+      for (let i = 0; i < elements; i++) {
+        const id = readCount();
+        const length = data.readUInt16BE(offset);
+        offset += 2;
+        io[id] = data.slice(offset, offset + length).toString("hex");
+        offset += length;
+      }
+    }
+
+    const record = {
+      type: priority === 2 ? "alarm" : "location",
+      timestamp: timestamp,
+      latitude: latitude,
+      longitude: longitude,
+      altitude: altitude,
+      course: course,
+      satellites: satellites,
+      speed: speed,
+      gpsFixed: satellites > 0,
+      priority: priority,
+      eventIoId: eventIoId,
+      io: io,
+    };
+
+    if (io[239] !== undefined) {
+      record.acc = io[239] === 1; // IO 239 = ignição
+    }
+
+    if (io[182] !== undefined) {
+      record.hdop = io[182] / 10; // IO 182 = HDOP (décimos)
+    }
+
+    if (record.type === "alarm") {
+      record.alarmType = "Panic";
+    }
+
+    return { data: record, offset: offset };
+  }
+
+  /**
+   * Posição normalizada: elementos IO conhecidos viram atributos comuns,
+   * os demais são mantidos como io<id>
+   */
+  normalizePosition(record) {
+    const attributes = {
+      event: record.eventIoId,
+      priority: record.priority,
+    };
+
+    for (const [id, value] of Object.entries(record.io || {})) {
+      const io = this.IO_ATTRIBUTES[id];
+
+      if (io === null) {
+        continue;
+      }
+
+      if (!io || typeof value !== "number") {
+        attributes[`io${id}`] = value;
+      } else if (io.boolean) {
+        attributes[io.name] = value > 0;
+      } else {
+        // Temperaturas (4 bytes) são lidas sem sinal
+        const number =
+          io.signed && value > 0x7fffffff ? value - 0x100000000 : value;
+        attributes[io.name] = io.divisor ? number / io.divisor : number;
+      }
+    }
+
+    return createPosition(record, attributes);
+  }
+
+  readIoValue(data, offset, size) {
+    switch (size) {
+      case 1:
+        return data[offset];
+      case 2:
+        return data.readUInt16BE(offset);
+      case 4:
+        return data.readUInt32BE(offset);
+      default: {
+        // Valores de 8 bytes: usar string quando excederem o limite seguro
+        const value = data.readBigUInt64BE(offset);
+        return value <= BigInt(Number.MAX_SAFE_INTEGER)
+          ? Number(value)
+          : value.toString();
+      }
+    }
+  }
+
+  /**
+   * Codec 12: codec(1) + quantidade(1) + tipo(1) + tamanho(4) + texto + quantidade(1)
+   */
+  parseCommandMessage(data) {
+    const type = data[2];
+    const length = data.readUInt32BE(3);
+    const text = data.toString("ascii", 7, 7 + length);
+
+    if (type !== this.RESPONSE_TYPE) {
+      return {
+        type: "unknown",
+        messageType: type,
+        data: text,
+      };
+    }
+
+    return {
+      type: "response",
+      timestamp: new Date(),
+      response: text,
+    };
+  }
+
+  /**
+   * CRC-16/IBM usado pelo protocolo Teltonika
+   */
+  calculateCRC(data) {
+    let crc = 0x0000;
+    for (let i = 0; i < data.length; i++) {
+      crc ^= data[i];
+      for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 1 ? (crc >>> 1) ^ 0xa001 : crc >>> 1;
+      }
     }
     return crc & 0xffff;
   }
 
+  buildRecordsAck(count) {
+    const ack = Buffer.alloc(4);
+    ack.writeUInt32BE(count, 0);
+    return ack;
+  }
+
+  // Comandos para enviar ao dispositivo (texto via Codec 12)
+  buildCommand(command, parameters = {}, imei = null) {
+    switch (command) {
+      case "locate":
+        return this.buildCodec12Command("getgps");
+      case "reboot":
+        return this.buildCodec12Command("cpureset");
+      case "engine_stop":
+        return this.buildCodec12Command("setdigout 1");
+      case "engine_resume":
+        return this.buildCodec12Command("setdigout 0");
+      case "status":
+        return this.buildCodec12Command("getstatus");
+      case "factory_reset":
+        return this.buildCodec12Command("defaultcfg");
+      case "set_interval":
+        // 10050: período mínimo de envio em movimento
+        return this.buildCodec12Command(
+          `setparam 10050:${parameters.interval}`
+        );
+      case "set_apn":
+        return this.buildSetParamCommand({
+          2001: parameters.apn,
+          2002: parameters.user,
+          2003: parameters.password,
+        });
+      case "set_server":
+        return this.buildSetParamCommand({
+          2004: parameters.host,
+          2005: parameters.port,
+        });
+      case "custom":
+        return this.buildCodec12Command(
+          ProtocolParser.decodePayload(parameters)
+        );
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * setparam com vários parâmetros: "setparam 2001:apn;2002:user"
+   */
+  buildSetParamCommand(values) {
+    const params = Object.entries(values)
+      .filter(([, value]) => value !== undefined)
+      .map(([id, value]) => `${id}:${value}`);
+    return this.buildCodec12Command(`setparam ${params.join(";")}`);
+  }
+
+  buildCodec12Command(text) {
+    const command = Buffer.isBuffer(text) ? text : Buffer.from(text, "ascii");
+    const data = Buffer.alloc(8 + command.length);
+
+    data[0] = this.CODEC_12;
+    data[1] = 0x01; // Quantidade de comandos
+    data[2] = this.COMMAND_TYPE;
+    data.writeUInt32BE(command.length, 3);
+    command.copy(data, 7);
+    data[7 + command.length] = 0x01;
+
+    const packet = Buffer.alloc(8 + data.length + 4);
+    packet.writeUInt32BE(0, 0);
+    packet.writeUInt32BE(data.length, 4);
+    data.copy(packet, 8);
+    packet.writeUInt32BE(this.calculateCRC(data), 8 + data.length);
+
+    return packet;
+  }
+
   buildAuthResponse(success) {
-    // Resposta de autenticação para GT06
-    const response = success ? 0x01 : 0x00;
-    const data = Buffer.from([0x01, response]);
-    return this.wrapCommand(data);
+    // Teltonika confirma o handshake em buildLoginResponse
+    return null;
   }
 
   buildLoginResponse(success) {
-    // Resposta de login para GT06
-    const response = success ? 0x01 : 0x00;
-    const data = Buffer.from([0x01, response]);
-    return this.wrapCommand(data);
+    // 0x01 = IMEI aceito, 0x00 = rejeitado
+    return Buffer.from([success ? 0x01 : 0x00]);
+  }
+
+  buildRejectResponse() {
+    // Sem o 0x00 o dispositivo aguarda o timeout do handshake
+    return this.buildLoginResponse(false);
   }
 
   buildLocationAck(sequence) {
-    // ACK para dados de localização
-    const data = Buffer.from([0x05, 0x01, sequence & 0xff]);
-    return this.wrapCommand(data);
+    // O ACK de registros AVL é enviado uma única vez por pacote
+    return null;
   }
 
   buildHeartbeatResponse() {
-    // Resposta para heartbeat
-    const data = Buffer.from([0x13, 0x01]);
-    return this.wrapCommand(data);
+    return null;
   }
 }
 
 /**
- * Parser para protocolo TK103 (outro protocolo comum)
+ * Parser para protocolo JT/T 808 (JT808)
  */
-class TK103Parser {
+class JT808Parser {
+  constructor() {
+    this.DELIMITER = 0x7e;
+    this.ESCAPE = 0x7d;
+
+    this.MSG_TERMINAL_RESPONSE = 0x0001;
+    this.MSG_HEARTBEAT = 0x0002;
+    this.MSG_REGISTER = 0x0100;
+    this.MSG_AUTH = 0x0102;
+    this.MSG_LOCATION = 0x0200;
+    this.MSG_LOCATION_QUERY_RESPONSE = 0x0201;
+    this.MSG_LOCATION_BATCH = 0x0704;
+
+    this.MSG_PLATFORM_RESPONSE = 0x8001;
+    this.MSG_REGISTER_RESPONSE = 0x8100;
+    this.MSG_SET_PARAMETERS = 0x8103;
+    this.MSG_TERMINAL_CONTROL = 0x8105;
+    this.MSG_LOCATION_QUERY = 0x8201;
+    this.MSG_VEHICLE_CONTROL = 0x8500;
+
+    this.TIMEZONE_OFFSET = 8 * 3600000; // Horário dos terminais em GMT+8
+    this.FRAGMENT_TIMEOUT = 60000;
+
+    this.serial = 0; // Serial das mensagens enviadas pelo servidor
+    this.fragments = new Map(); // Map<telefone:msgId, subpacotes>
+
+    // Código emitido no 0x8100 e validado pelo servidor no 0x0102
+    this.requiresAuthCode = true;
+  }
+
   parse(buffer) {
-    // Implementar parser TK103
-    const data = buffer.toString("ascii");
+    if (buffer.length < 2) {
+      return { success: false, error: "Buffer too small" };
+    }
 
-    if (data.startsWith("##")) {
-      return this.parseTK103Message(data);
+    if (buffer[0] !== this.DELIMITER) {
+      return { success: false, error: "Invalid start delimiter" };
     }
 
-    return { success: false, error: "Not TK103 protocol" };
-  }
+    const end = buffer.indexOf(this.DELIMITER, 1);
+    if (end === -1) {
+      return { success: false, error: "Incomplete packet" };
+    }
 
-  parseTK103Message(message) {
-    // TK103 usa mensagens ASCII
-    // Exemplo: ##,imei:359710045490084,A;
-    const parts = message.split(",");
+    const frame = this.unescape(buffer.slice(1, end));
+    const bytesProcessed = end + 1;
 
-    if (parts.length < 2) {
-      return { success: false, error: "Invalid TK103 message" };
+    if (frame.length < 13) {
+      return { success: false, error: "Invalid packet length" };
     }
 
-    if (parts[1].startsWith("imei:")) {
-      const imei = parts[1].substring(5);
-      return {
-        success: true,
-        data: {
-          type: "login",
-          imei: imei,
-        },
-        bytesProcessed: Buffer.byteLength(message),
-      };
+    const checksum = frame[frame.length - 1];
+    const content = frame.slice(0, frame.length - 1);
+
+    if (this.calculateChecksum(content) !== checksum) {
+      return { success: false, error: "Invalid checksum" };
+    }
+
+    const header = this.parseHeader(content);
+    if (content.length < header.length + header.bodyLength) {
+      return { success: false, error: "Invalid body length" };
+    }
+
+    let body = content.slice(header.length, header.length + header.bodyLength);
+
+    // Mensagens longas divididas em subpacotes
+    if (header.packetCount) {
+      body = this.reassemble(header, body);
+
+      if (!body) {
+        return {
+          success: true,
+          data: {
+            type: "fragment",
+            imei: header.phone,
+            messageId: header.messageId,
+            serial: header.serial,
+            packetIndex: header.packetIndex,
+            packetCount: header.packetCount,
+            needsResponse: this.buildGeneralResponse(header, 0),
+          },
+          bytesProcessed: bytesProcessed,
+        };
+      }
     }
 
-    return { success: false, error: "Unknown TK103 message type" };
+    const parsedData = this.parseMessage(header, body);
+    parsedData.imei = header.phone;
+    parsedData.messageId = header.messageId;
+    parsedData.serial = header.serial;
+    parsedData.protocolVersion = header.protocolVersion;
+
+    return {
+      success: true,
+      data: parsedData,
+      bytesProcessed: bytesProcessed,
+    };
   }
 
-  buildCommand(command, parameters) {
-    // Implementar comandos TK103
-    switch (command) {
-      case "locate":
-        return Buffer.from("**,imei:000000000000000,C,01m;", "ascii");
+  /**
+   * Cabeçalho: msgId(2) + atributos(2) + [versão(1)] + telefone BCD(6 ou 10) + serial(2) + [subpacotes(4)]
+   */
+  parseHeader(content) {
+    const messageId = content.readUInt16BE(0);
+    const attributes = content.readUInt16BE(2);
+    const version2019 = (attributes & 0x4000) > 0;
+    let offset = 4;
+
+    let protocolVersion = null;
+    if (version2019) {
+      protocolVersion = content[offset];
+      offset += 1;
+    }
+
+    const phoneLength = version2019 ? 10 : 6;
+    const phone = content.slice(offset, offset + phoneLength).toString("hex");
+    offset += phoneLength;
+
+    const serial = content.readUInt16BE(offset);
+    offset += 2;
+
+    const header = {
+      messageId: messageId,
+      bodyLength: attributes & 0x03ff,
+      encrypted: (attributes >> 10) & 0x07,
+      protocolVersion: protocolVersion,
+      phone: phone,
+      serial: serial,
+      packetCount: 0,
+      packetIndex: 0,
+    };
+
+    if (attributes & 0x2000) {
+      header.packetCount = content.readUInt16BE(offset);
+      header.packetIndex = content.readUInt16BE(offset + 2);
+      offset += 4;
+    }
+
+    header.length = offset;
+    return header;
+  }
+
+  parseMessage(header, body) {
+    switch (header.messageId) {
+      case this.MSG_REGISTER:
+        return this.parseRegister(body);
+      case this.MSG_AUTH:
+        return this.parseAuth(header, body);
+      case this.MSG_HEARTBEAT:
+        return {
+          type: "heartbeat",
+          timestamp: new Date(),
+          needsResponse: this.buildGeneralResponse(header, 0),
+        };
+      case this.MSG_LOCATION: {
+        const location = this.parseLocation(body);
+        location.needsResponse = this.buildGeneralResponse(header, 0);
+        return location;
+      }
+      case this.MSG_LOCATION_QUERY_RESPONSE: {
+        const location = this.parseLocation(body.slice(2));
+        location.replySerial = body.readUInt16BE(0);
+        return location;
+      }
+      case this.MSG_LOCATION_BATCH:
+        return {
+          type: "batch",
+          records: this.parseLocationBatch(body),
+          needsResponse: this.buildGeneralResponse(header, 0),
+        };
+      case this.MSG_TERMINAL_RESPONSE:
+        return {
+          type: "response",
+          timestamp: new Date(),
+          replySerial: body.readUInt16BE(0),
+          replyMessageId: body.readUInt16BE(2),
+          result: body[4],
+          response: body[4] === 0 ? "success" : `failure (${body[4]})`,
+        };
       default:
-        return null;
+        return {
+          type: "unknown",
+          data: body,
+          needsResponse: this.buildGeneralResponse(header, 3), // Não suportado
+        };
     }
   }
 
-  buildAuthResponse(success) {
-    return success ? Buffer.from("LOAD", "ascii") : null;
+  /**
+   * 0x0100: província(2) + cidade(2) + fabricante(5) + modelo(20) + ID terminal(7) + cor(1) + placa
+   */
+  parseRegister(body) {
+    const text = (start, end) =>
+      body.toString("ascii", start, end).replace(/\0/g, "").trim();
+
+    return {
+      type: "login",
+      registration: true,
+      provinceId: body.readUInt16BE(0),
+      cityId: body.readUInt16BE(2),
+      manufacturer: text(4, 9),
+      model: text(9, 29),
+      terminalId: text(29, 36),
+      plateColor: body[36],
+      plate: body.length > 37 ? body.slice(37).toString("latin1").trim() : "",
+    };
   }
 
-  buildLoginResponse(success) {
-    return success ? Buffer.from("LOAD", "ascii") : null;
+  /**
+   * 0x0102: código de autenticação
+   * Versão 2019: tamanho(1) + código + IMEI(15) + versão do software(20)
+   */
+  parseAuth(header, body) {
+    const authCode = (
+      header.protocolVersion !== null
+        ? body.toString("ascii", 1, 1 + body[0])
+        : body.toString("ascii")
+    ).replace(/\0/g, "");
+
+    return {
+      type: "login",
+      registration: false,
+      authCode: authCode,
+    };
   }
 
-  buildLocationAck(sequence) {
-    return Buffer.from("ON", "ascii");
+  /**
+   * 0x0200: alarme(4) + status(4) + lat(4) + lon(4) + altitude(2) + velocidade(2) + direção(2) + hora BCD(6) + itens adicionais
+   */
+  parseLocation(body) {
+    if (body.length < 28) {
+      throw new Error("Invalid JT808 location length");
+    }
+
+    const alarm = body.readUInt32BE(0);
+    const status = body.readUInt32BE(4);
+
+    let latitude = body.readUInt32BE(8) / 1000000;
+    let longitude = body.readUInt32BE(12) / 1000000;
+    if (status & 0x04) latitude = -latitude;
+    if (status & 0x08) longitude = -longitude;
+
+    const location = {
+      type: "location",
+      timestamp: this.parseDateTime(body.slice(22, 28)),
+      latitude: latitude,
+      longitude: longitude,
+      altitude: body.readUInt16BE(16),
+      speed: body.readUInt16BE(18) / 10,
+      course: body.readUInt16BE(20),
+      gpsFixed: (status & 0x02) > 0,
+      acc: (status & 0x01) > 0,
+      alarmFlags: alarm,
+      statusFlags: status,
+      ...this.parseAdditionalInfo(body.slice(28)),
+    };
+
+    const alarmType = this.getAlarmName(alarm);
+    if (alarmType) {
+      location.type = "alarm";
+      location.alarmType = alarmType;
+    }
+
+    return location;
   }
 
-  buildHeartbeatResponse() {
-    return Buffer.from("ON", "ascii");
+  /**
+   * Itens adicionais: id(1) + tamanho(1) + valor
+   */
+  parseAdditionalInfo(buffer) {
+    const info = { additional: {} };
+    let offset = 0;
+
+    while (offset + 2 <= buffer.length) {
+      const id = buffer[offset];
+      const length = buffer[offset + 1];
+      const value = buffer.slice(offset + 2, offset + 2 + length);
+      offset += 2 + length;
+
+      if (value.length < length) {
+        break;
+      }
+
+      switch (id) {
+        case 0x01: // Odômetro (1/10 km)
+          info.mileage = value.readUInt32BE(0) / 10;
+          break;
+        case 0x02: // Combustível (1/10 L)
+          info.fuel = value.readUInt16BE(0) / 10;
+          break;
+        case 0x03: // Velocidade do tacógrafo (1/10 km/h)
+          info.tachographSpeed = value.readUInt16BE(0) / 10;
+          break;
+        case 0x25: // Sinais estendidos do veículo
+          info.vehicleSignals = value.readUInt32BE(0);
+          break;
+        case 0x2a: // Status de IO
+          info.ioStatus = value.readUInt16BE(0);
+          break;
+        case 0x30: // Sinal da rede móvel
+          info.gsmSignal = value[0];
+          break;
+        case 0x31: // Satélites GNSS
+          info.satellites = value[0];
+          break;
+        default:
+          info.additional[id] = value.toString("hex");
+      }
+    }
+
+    return info;
   }
-}
 
-/**
- * Parser para protocolo H02
- */
-class H02Parser {
-  parse(buffer) {
-    // Implementar parser H02
-    return { success: false, error: "H02 parser not implemented yet" };
+  /**
+   * 0x0704: quantidade(2) + tipo(1) + [tamanho(2) + localização]...
+   */
+  parseLocationBatch(body) {
+    const count = body.readUInt16BE(0);
+    const blindArea = body[2] === 0x01;
+    const records = [];
+    let offset = 3;
+
+    for (let i = 0; i < count && offset + 2 <= body.length; i++) {
+      const length = body.readUInt16BE(offset);
+      offset += 2;
+
+      const record = this.parseLocation(body.slice(offset, offset + length));
+      record.blindArea = blindArea;
+      records.push(record);
+      offset += length;
+    }
+
+    return records;
   }
 
-  buildCommand(command, parameters) {
+  /**
+   * Posição normalizada (odômetro convertido de km para metros)
+   */
+  normalizePosition(record) {
+    const attributes = {
+      ignition: record.acc,
+      odometer:
+        record.mileage !== undefined
+          ? Math.round(record.mileage * 1000)
+          : undefined,
+      fuel: record.fuel,
+      rssi: record.gsmSignal,
+      status: record.statusFlags,
+      ioStatus: record.ioStatus,
+      vehicleSignals: record.vehicleSignals,
+    };
+
+    for (const [id, value] of Object.entries(record.additional || {})) {
+      attributes[`io${id}`] = value;
+    }
+
+    return createPosition(record, attributes);
+  }
+
+  getAlarmName(alarm) {
+    if (alarm & 0x00000001) return "SOS";
+    if (alarm & 0x00000002) return "Over Speed";
+    if (alarm & 0x00000004) return "Fatigue Driving";
+    if (alarm & 0x00000100) return "Power Cut";
+    if (alarm & 0x00000080) return "Low Battery";
+    if (alarm & 0x00100000) return "Fence";
+    if (alarm & 0x10000000) return "Vibration";
+    if (alarm & 0x20000000) return "Collision";
     return null;
   }
 
+  /**
+   * Juntar subpacotes; retorna o corpo completo ou null se ainda faltarem partes
+   */
+  reassemble(header, body) {
+    const now = Date.now();
+
+    // Descartar remontagens abandonadas
+    for (const [key, entry] of this.fragments.entries()) {
+      if (now - entry.updatedAt > this.FRAGMENT_TIMEOUT) {
+        this.fragments.delete(key);
+      }
+    }
+
+    const key = `${header.phone}:${header.messageId}`;
+    let entry = this.fragments.get(key);
+
+    if (!entry || entry.packetCount !== header.packetCount) {
+      entry = { packetCount: header.packetCount, parts: new Map() };
+      this.fragments.set(key, entry);
+    }
+
+    entry.parts.set(header.packetIndex, body);
+    entry.updatedAt = now;
+
+    if (entry.parts.size < entry.packetCount) {
+      return null;
+    }
+
+    this.fragments.delete(key);
+
+    const parts = [];
+    for (let index = 1; index <= entry.packetCount; index++) {
+      if (!entry.parts.has(index)) {
+        return null;
+      }
+      parts.push(entry.parts.get(index));
+    }
+
+    return Buffer.concat(parts);
+  }
+
+  unescape(buffer) {
+    const result = [];
+    for (let i = 0; i < buffer.length; i++) {
+      if (buffer[i] === this.ESCAPE && i + 1 < buffer.length) {
+        result.push(buffer[i + 1] === 0x02 ? this.DELIMITER : this.ESCAPE);
+        i++;
+      } else {
+        result.push(buffer[i]);
+      }
+    }
+    return Buffer.from(result);
+  }
+
+  escape(buffer) {
+    const result = [];
+    for (const byte of buffer) {
+      if (byte === this.DELIMITER) {
+        result.push(this.ESCAPE, 0x02);
+      } else if (byte === this.ESCAPE) {
+        result.push(this.ESCAPE, 0x01);
+      } else {
+        result.push(byte);
+      }
+    }
+    return Buffer.from(result);
+  }
+
+  calculateChecksum(data) {
+    let checksum = 0;
+    for (let i = 0; i < data.length; i++) {
+      checksum ^= data[i];
+    }
+    return checksum;
+  }
+
+  parseDateTime(buffer) {
+    // YYMMDDhhmmss em BCD, GMT+8
+    const bcd = buffer.toString("hex");
+    const utc = Date.UTC(
+      2000 + parseInt(bcd.substring(0, 2), 10),
+      parseInt(bcd.substring(2, 4), 10) - 1,
+      parseInt(bcd.substring(4, 6), 10),
+      parseInt(bcd.substring(6, 8), 10),
+      parseInt(bcd.substring(8, 10), 10),
+      parseInt(bcd.substring(10, 12), 10)
+    );
+    return new Date(utc - this.TIMEZONE_OFFSET);
+  }
+
+  nextSerial() {
+    this.serial = (this.serial + 1) & 0xffff;
+    return this.serial;
+  }
+
+  /**
+   * Montar mensagem completa: cabeçalho + corpo + checksum, com escape e delimitadores
+   */
+  buildMessage(messageId, body, phone, protocolVersion = null, serial = null) {
+    const version2019 = protocolVersion !== null;
+    const phoneLength = version2019 ? 10 : 6;
+    const header = Buffer.alloc(4 + (version2019 ? 1 : 0) + phoneLength + 2);
+    let offset = 0;
+
+    header.writeUInt16BE(messageId, offset);
+    header.writeUInt16BE(
+      (body.length & 0x03ff) | (version2019 ? 0x4000 : 0),
+      offset + 2
+    );
+    offset += 4;
+
+    if (version2019) {
+      header[offset++] = protocolVersion;
+    }
+
+    Buffer.from(
+      String(phone)
+        .padStart(phoneLength * 2, "0")
+        .slice(-phoneLength * 2),
+      "hex"
+    ).copy(header, offset);
+    offset += phoneLength;
+
+    header.writeUInt16BE(
+      serial !== null ? serial & 0xffff : this.nextSerial(),
+      offset
+    );
+
+    const content = Buffer.concat([header, body]);
+    const checksum = Buffer.from([this.calculateChecksum(content)]);
+
+    return Buffer.concat([
+      Buffer.from([this.DELIMITER]),
+      this.escape(Buffer.concat([content, checksum])),
+      Buffer.from([this.DELIMITER]),
+    ]);
+  }
+
+  /**
+   * 0x8001: serial respondido(2) + msgId respondido(2) + resultado(1)
+   * resultado: 0 = sucesso, 1 = falha, 2 = mensagem incorreta, 3 = não suportado
+   */
+  buildGeneralResponse(message, result) {
+    const body = Buffer.alloc(5);
+    body.writeUInt16BE(message.serial, 0);
+    body.writeUInt16BE(message.messageId, 2);
+    body[4] = result;
+
+    return this.buildMessage(
+      this.MSG_PLATFORM_RESPONSE,
+      body,
+      message.phone || message.imei,
+      message.protocolVersion
+    );
+  }
+
+  /**
+   * 0x8100: serial respondido(2) + resultado(1) + código de autenticação
+   * O código (message.authCode) é emitido e gravado pelo servidor
+   */
+  buildRegisterResponse(message, success) {
+    const authCode =
+      success && message.authCode
+        ? Buffer.from(message.authCode, "ascii")
+        : Buffer.alloc(0);
+    const body = Buffer.alloc(3 + authCode.length);
+    body.writeUInt16BE(message.serial, 0);
+    body[2] = success ? 0 : 4; // 4 = terminal não cadastrado
+    authCode.copy(body, 3);
+
+    return this.buildMessage(
+      this.MSG_REGISTER_RESPONSE,
+      body,
+      message.imei,
+      message.protocolVersion
+    );
+  }
+
+  // Comandos para enviar ao dispositivo
+  // reference é usado como serial, devolvido pelo terminal no 0x0001/0x0201
+  buildCommand(command, parameters = {}, imei = null, reference = null) {
+    if (!imei) {
+      return null;
+    }
+
+    const build = (messageId, body) =>
+      this.buildMessage(messageId, body, imei, null, reference || null);
+
+    switch (command) {
+      case "locate":
+        return build(this.MSG_LOCATION_QUERY, Buffer.alloc(0));
+      case "reboot":
+        return build(this.MSG_TERMINAL_CONTROL, Buffer.from([0x04]));
+      case "factory_reset":
+        return build(this.MSG_TERMINAL_CONTROL, Buffer.from([0x05]));
+      case "engine_stop":
+        return build(this.MSG_VEHICLE_CONTROL, Buffer.from([0x01]));
+      case "engine_resume":
+        return build(this.MSG_VEHICLE_CONTROL, Buffer.from([0x00]));
+      case "set_interval":
+        // 0x0029: intervalo padrão de envio (segundos)
+        return build(
+          this.MSG_SET_PARAMETERS,
+          this.buildParameterList({ 0x0029: parameters.interval })
+        );
+      case "set_apn":
+        // 0x0010: APN, 0x0011: usuário, 0x0012: senha
+        return build(
+          this.MSG_SET_PARAMETERS,
+          this.buildParameterList({
+            0x0010: parameters.apn,
+            0x0011: parameters.user,
+            0x0012: parameters.password,
+          })
+        );
+      case "set_server":
+        // 0x0013: endereço do servidor principal, 0x0018: porta TCP
+        return build(
+          this.MSG_SET_PARAMETERS,
+          this.buildParameterList({
+            0x0013: parameters.host,
+            0x0018: parameters.port,
+          })
+        );
+      case "overspeed":
+        // 0x0055: velocidade máxima (km/h)
+        return build(
+          this.MSG_SET_PARAMETERS,
+          this.buildParameterList({ 0x0055: parameters.speed })
+        );
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Corpo do 0x8103: quantidade(1) + [ID(4) + tamanho(1) + valor]
+   * Números são enviados como DWORD e textos em ASCII
+   */
+  buildParameterList(values) {
+    const items = Object.entries(values)
+      .filter(([, value]) => value !== undefined)
+      .map(([id, value]) => {
+        let data;
+        if (typeof value === "number") {
+          data = Buffer.alloc(4);
+          data.writeUInt32BE(value, 0);
+        } else {
+          data = Buffer.from(String(value), "ascii");
+        }
+
+        const header = Buffer.alloc(5);
+        header.writeUInt32BE(Number(id), 0);
+        header[4] = data.length;
+        return Buffer.concat([header, data]);
+      });
+
+    return Buffer.concat([Buffer.from([items.length]), ...items]);
+  }
+
   buildAuthResponse(success) {
+    // JT808 responde registro/autenticação em buildLoginResponse
     return null;
   }
 
-  buildLoginResponse(success) {
-    return null;
+  buildLoginResponse(success, message = {}) {
+    if (message.registration) {
+      return this.buildRegisterResponse(message, success);
+    }
+
+    const valid = success && message.authCodeValid !== false;
+    return this.buildGeneralResponse(message, valid ? 0 : 1);
   }
 
   buildLocationAck(sequence) {
+    // Resposta 0x8001 enviada via needsResponse
     return null;
   }
 
@@ -493,150 +2807,82 @@ class H02Parser {
 }
 
 /**
- * Parser para GPS 303 (formato texto)
+ * Parser para GPS 303 (formato texto Xexun/Coban)
+ * Mesmo formato de linha do TK103, com campos adicionais no final
  */
-class GPS303Parser {
-  parse(buffer) {
-    const data = buffer.toString("ascii");
-    console.log("🔍 GPS303 Parser - Raw data:", data);
+class GPS303Parser extends TK103Parser {
+  /**
+   * imei:<imei>,<palavra-chave>,<data>,<telefone>,F,<hora>,A,<lat>,N,<lon>,E,<velocidade>,<curso>,<altitude>,<acc>,<porta>,<combustível1>%,<combustível2>%,<temperatura>
+   */
+  parseTrackerLine(message) {
+    const parsedData = super.parseTrackerLine(message);
+    const parts = message.split(",");
 
-    // Verificar se é mensagem de login (começa com ##)
-    if (data.startsWith("##")) {
-      console.log("✅ GPS303 - Login message detected");
-      return {
-        success: true,
-        data: {
-          type: "login",
-          protocol: "gps303",
-          raw: data,
-          needsResponse: "LOAD",
-        },
-        bytesProcessed: buffer.length,
-      };
+    if (parts[4] === "L") {
+      return parsedData;
     }
 
-    // Verificar se é mensagem com dados de localização (começa com imei:)
-    if (data.startsWith("imei:")) {
-      console.log("✅ GPS303 - Location data detected");
-
-      const parts = data.trim().split(",");
-      if (parts.length >= 12) {
-        const imei = parts[0].split(":")[1];
-        const tracker = parts[1];
-        const dateTime = parts[2]; // YYMMDDHHMMSS
-        const empty = parts[3]; // Campo vazio
-        const fix = parts[4]; // F=fix, A=valid
-        const time = parts[5]; // HHMMSS.SSS
-        const validity = parts[6]; // A=valid, V=invalid
-        const latStr = parts[7]; // DDMM.MMMM
-        const latDirection = parts[8]; // N/S
-        const lonStr = parts[9]; // DDDMM.MMMM
-        const lonDirection = parts[10]; // E/W
-        const speed = parts[11] ? parseFloat(parts[11]) : 0;
-
-        // Converter coordenadas do formato DDMM.MMMM para decimal
-        const latitude = this.parseCoordinate(latStr);
-        const longitude = this.parseCoordinate(lonStr);
-
-        // Aplicar direção (S = negativo, W = negativo)
-        const finalLat = latDirection === "S" ? -latitude : latitude;
-        const finalLon = lonDirection === "W" ? -longitude : longitude;
+    const number = (value) => {
+      const parsed = parseFloat(value);
+      return isNaN(parsed) ? undefined : parsed;
+    };
 
-        return {
-          success: true,
-          data: {
-            type: "location",
-            protocol: "gps303",
-            imei: imei,
-            latitude: finalLat,
-            longitude: finalLon,
-            speed: speed,
-            validity: validity === "A",
-            timestamp: this.parseDateTime(dateTime, ""),
-            raw: data,
-          },
-          bytesProcessed: buffer.length,
-        };
-      }
+    const altitude = number(parts[13]);
+    if (altitude !== undefined) {
+      parsedData.altitude = altitude;
     }
 
-    return { success: false };
-  }
+    if (parts[14] === "0" || parts[14] === "1") {
+      parsedData.acc = parts[14] === "1";
+    }
 
-  parseCoordinate(coordStr) {
-    try {
-      // Formato: DDMM.MMMM (latitude) ou DDDMM.MMMM (longitude)
-      const coord = parseFloat(coordStr);
-      if (isNaN(coord)) return 0;
+    if (parts[15] === "0" || parts[15] === "1") {
+      parsedData.door = parts[15] === "1";
+    }
 
-      // Separar graus e minutos
-      const degrees = Math.floor(coord / 100);
-      const minutes = coord % 100;
+    const fuel1 = number(parts[16]);
+    if (fuel1 !== undefined) {
+      parsedData.fuel1 = fuel1;
+    }
 
-      // Converter para graus decimais
-      return degrees + minutes / 60;
-    } catch (error) {
-      console.log(
-        "⚠️ GPS303 - Error parsing coordinate:",
-        coordStr,
-        error.message
-      );
-      return 0;
+    const fuel2 = number(parts[17]);
+    if (fuel2 !== undefined) {
+      parsedData.fuel2 = fuel2;
     }
-  }
 
-  parseDateTime(date, time) {
-    try {
-      // Se o time está vazio, extrair da string de date que contém YYMMDDHHMMSS
-      if (!time || time.trim() === "") {
-        if (date && date.length >= 12) {
-          // date: YYMMDDHHMMSS (12 dígitos)
-          const year = 2000 + parseInt(date.substring(0, 2));
-          const month = parseInt(date.substring(2, 4)) - 1;
-          const day = parseInt(date.substring(4, 6));
-          const hour = parseInt(date.substring(6, 8));
-          const minute = parseInt(date.substring(8, 10));
-          const second = parseInt(date.substring(10, 12));
-
-          return new Date(year, month, day, hour, minute, second);
-        } else {
-          // Se não conseguir fazer parse, usar data atual
-          return new Date();
-        }
-      } else {
-        // date: YYMMDD, time: HHMMSS
-        const year = 2000 + parseInt(date.substring(0, 2));
-        const month = parseInt(date.substring(2, 4)) - 1;
-        const day = parseInt(date.substring(4, 6));
-        const hour = parseInt(time.substring(0, 2));
-        const minute = parseInt(time.substring(2, 4));
-        const second = parseInt(time.substring(4, 6));
-
-        return new Date(year, month, day, hour, minute, second);
-      }
-    } catch (error) {
-      console.log(
-        "⚠️ GPS303 - Error parsing datetime, using current time:",
-        error.message
-      );
-      return new Date();
+    const temperature = number(parts[18]);
+    if (temperature !== undefined) {
+      parsedData.temperature = temperature;
     }
-  }
 
-  buildLoginResponse() {
-    return Buffer.from("LOAD", "ascii");
+    return parsedData;
   }
 
-  buildAuthResponse(success) {
-    return success ? Buffer.from("LOAD", "ascii") : null;
-  }
+  /**
+   * Na detecção automática, só linhas de posição com os campos adicionais
+   * (altitude, ACC, porta, combustível, temperatura) identificam o GPS 303;
+   * login, heartbeat e linhas iguais às do TK103 ficam com o TK103
+   */
+  matchesSignature(data) {
+    if (!data.raw || !data.raw.startsWith("imei:")) {
+      return false;
+    }
 
-  buildLocationAck() {
-    return Buffer.from("ON", "ascii");
+    const parts = data.raw.slice(0, -1).split(",");
+    return parts[4] !== "L" && parts.slice(13).some((part) => part !== "");
   }
 
-  buildHeartbeatResponse() {
-    return Buffer.from("ON", "ascii");
+  /**
+   * Posição normalizada com os campos adicionais do GPS 303
+   */
+  normalizePosition(record) {
+    return createPosition(record, {
+      ignition: record.acc,
+      door: record.door,
+      fuel: record.fuel1,
+      fuel2: record.fuel2,
+      temperature1: record.temperature,
+    });
   }
 }
 
@@ -662,8 +2908,8 @@ class GenericParser {
   }
 
   buildCommand(command, parameters) {
-    // Comando genérico simples
-    return Buffer.from(command, "ascii");
+    // Protocolo desconhecido: nenhum comando no catálogo
+    return null;
   }
 
   buildAuthResponse(success) {
@@ -0,0 +1,379 @@
+const { DatabaseService } = require("./database.service");
+const { Logger } = require("../utils/logger");
+
+// Chave do advisory lock que serializa a manutenção entre instâncias
+const MAINTENANCE_LOCK_KEY = 48151624;
+
+// Partições mensais criadas por create_locations_partition (UTC)
+const PARTITION_NAME = /^locations_p(\d{4})(\d{2})$/;
+
+const DAY = 86400000;
+
+/**
+ * Manutenção da tabela particionada locations
+ * A cada execução cria as partições dos próximos meses, reduz a resolução das
+ * partições mais antigas que rawRetentionDays e remove as partições (e as
+ * posições em locations_default) mais antigas que historyRetentionDays
+ */
+class LocationMaintenanceService {
+  /**
+   * options.interval: intervalo (ms) entre execuções, 0 desativa o job
+   * options.partitionsAhead: meses futuros com partição criada antecipadamente
+   * options.rawRetentionDays: dias com todas as posições
+   * options.historyRetentionDays: dias com posições reduzidas, 0 = sem limite
+   * options.downsampleInterval: uma posição por dispositivo a cada N segundos
+   * options.downsampleHeading: mudança de direção (graus) que mantém a posição
+   */
+  constructor(database = new DatabaseService(), options = {}) {
+    const option = (name, fallback) =>
+      options[name] !== undefined ? options[name] : fallback;
+
+    this.database = database;
+    this.interval = option("interval", 3600000); // 1 hora
+    this.partitionsAhead = option("partitionsAhead", 2);
+    this.rawRetentionDays = option("rawRetentionDays", 90);
+    this.historyRetentionDays = option("historyRetentionDays", 365);
+    this.downsampleInterval = option("downsampleInterval", 60);
+    this.downsampleHeading = option("downsampleHeading", 30);
+
+    this.logger = new Logger("LOCATION-MAINTENANCE");
+    this.timer = null;
+    this.running = null; // Promise da execução em andamento
+    this.stats = {
+      runs: 0,
+      lastRunAt: null,
+      lastError: null,
+      partitionsCreated: 0,
+      partitionsDownsampled: 0,
+      partitionsDropped: 0,
+      rowsRemoved: 0,
+    };
+  }
+
+  /**
+   * Executar a manutenção agora e a cada interval ms
+   */
+  start() {
+    if (!this.interval) {
+      this.logger.info("Location maintenance disabled");
+      return;
+    }
+
+    this.timer = setInterval(() => this.run(), this.interval);
+    this.run();
+  }
+
+  /**
+   * Parar o job, aguardando a execução em andamento
+   */
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+
+    if (this.running) {
+      await this.running;
+    }
+  }
+
+  /**
+   * Executar todas as etapas uma vez
+   * Ignorada se a execução anterior ainda não terminou
+   */
+  async run() {
+    if (this.running) {
+      this.logger.warn("Previous location maintenance still running, skipping");
+      return null;
+    }
+
+    this.running = (async () => {
+      const now = new Date();
+      this.logger.info("Location maintenance started");
+
+      try {
+        const summary = {
+          created: await this.createPartitions(now),
+          dropped: await this.dropExpiredPartitions(now),
+          downsampled: await this.downsamplePartitions(now),
+          purged: await this.purgeDefaultPartition(now),
+        };
+
+        this.stats.runs++;
+        this.stats.lastRunAt = now;
+        this.stats.lastError = null;
+
+        this.logger.info(
+          `Location maintenance finished: ${summary.created.length} partition(s) created, ${summary.dropped.length} dropped, ${summary.downsampled.length} downsampled, ${summary.purged} row(s) purged from locations_default`
+        );
+        return summary;
+      } catch (error) {
+        this.stats.lastError = error.message;
+        this.logger.error("Location maintenance failed:", error);
+        return null;
+      }
+    })();
+
+    try {
+      return await this.running;
+    } finally {
+      this.running = null;
+    }
+  }
+
+  /**
+   * Criar as partições do mês atual e dos partitionsAhead meses seguintes
+   */
+  async createPartitions(now) {
+    const months = [];
+    for (let i = 0; i <= this.partitionsAhead; i++) {
+      months.push(
+        new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + i, 1))
+      );
+    }
+
+    const created = await this.withLock(async (client) => {
+      const names = [];
+      for (const month of months) {
+        const result = await client.query(
+          "SELECT create_locations_partition($1::date) AS created",
+          [month.toISOString().substring(0, 10)]
+        );
+        if (result.rows[0].created) {
+          names.push(LocationMaintenanceService.partitionName(month));
+        }
+      }
+      return names;
+    });
+
+    for (const name of created) {
+      this.logger.info(`Partition ${name} created`);
+    }
+
+    this.stats.partitionsCreated += created.length;
+    return created;
+  }
+
+  /**
+   * Remover as partições que terminaram há mais de historyRetentionDays
+   */
+  async dropExpiredPartitions(now) {
+    if (!this.historyRetentionDays) {
+      return [];
+    }
+
+    const cutoff = now.getTime() - this.historyRetentionDays * DAY;
+    const expired = (await this.listPartitions()).filter(
+      (partition) => partition.end.getTime() <= cutoff
+    );
+    const dropped = [];
+
+    for (const partition of expired) {
+      const ran = await this.withLock(async (client) => {
+        const exists = await client.query("SELECT to_regclass($1) AS name", [
+          partition.name,
+        ]);
+        if (!exists.rows[0].name) {
+          return false;
+        }
+
+        await client.query(`DROP TABLE "${partition.name}"`);
+        await client.query(
+          "DELETE FROM location_downsampling WHERE partition_name = $1",
+          [partition.name]
+        );
+        return true;
+      });
+
+      if (ran) {
+        this.logger.info(
+          `Partition ${partition.name} dropped (older than ${this.historyRetentionDays} days)`
+        );
+        dropped.push(partition.name);
+      }
+    }
+
+    this.stats.partitionsDropped += dropped.length;
+    return dropped;
+  }
+
+  /**
+   * Reduzir a resolução das partições que terminaram há mais de
+   * rawRetentionDays: por dispositivo, mantém a primeira posição de cada
+   * intervalo de downsampleInterval segundos, as posições com mudança de
+   * direção de downsampleHeading graus ou mais e as posições de alarme
+   */
+  async downsamplePartitions(now) {
+    const cutoff = now.getTime() - this.rawRetentionDays * DAY;
+    const pending = (await this.listPartitions()).filter(
+      (partition) => !partition.downsampled && partition.end.getTime() <= cutoff
+    );
+    const downsampled = [];
+
+    for (const partition of pending) {
+      const result = await this.withLock(async (client) => {
+        const done = await client.query(
+          "SELECT 1 FROM location_downsampling WHERE partition_name = $1",
+          [partition.name]
+        );
+        if (done.rows.length > 0) {
+          return null;
+        }
+
+        const count = await client.query(
+          `SELECT COUNT(*) AS total FROM "${partition.name}"`
+        );
+        const rowsBefore = parseInt(count.rows[0].total);
+
+        const deleted = await client.query(
+          `
+          WITH ranked AS (
+            SELECT
+              id,
+              course,
+              attributes ? 'alarm' AS alarm,
+              row_number() OVER (
+                PARTITION BY device_id,
+                  floor(extract(epoch FROM recorded_at) / $1)
+                ORDER BY recorded_at, id
+              ) AS bucket_position,
+              lag(course) OVER (
+                PARTITION BY device_id
+                ORDER BY recorded_at, id
+              ) AS previous_course
+            FROM "${partition.name}"
+          )
+          DELETE FROM "${partition.name}" l
+          USING ranked r
+          WHERE l.id = r.id
+            AND r.bucket_position > 1
+            AND NOT r.alarm
+            AND NOT (
+              r.course IS NOT NULL
+              AND r.previous_course IS NOT NULL
+              AND LEAST(
+                abs(r.course - r.previous_course),
+                360 - abs(r.course - r.previous_course)
+              ) >= $2
+            )
+        `,
+          [this.downsampleInterval, this.downsampleHeading]
+        );
+        const rowsAfter = rowsBefore - deleted.rowCount;
+
+        await client.query(
+          `INSERT INTO location_downsampling (partition_name, rows_before, rows_after)
+           VALUES ($1, $2, $3)`,
+          [partition.name, rowsBefore, rowsAfter]
+        );
+
+        return { rowsBefore, rowsAfter };
+      });
+
+      if (result) {
+        this.logger.info(
+          `Partition ${partition.name} downsampled: ${result.rowsBefore} → ${result.rowsAfter} rows`
+        );
+        this.stats.rowsRemoved += result.rowsBefore - result.rowsAfter;
+        downsampled.push(partition.name);
+      }
+    }
+
+    this.stats.partitionsDownsampled += downsampled.length;
+    return downsampled;
+  }
+
+  /**
+   * Remover de locations_default as posições mais antigas que
+   * historyRetentionDays (datas sem partição, ex: relógio do dispositivo errado)
+   */
+  async purgeDefaultPartition(now) {
+    if (!this.historyRetentionDays) {
+      return 0;
+    }
+
+    const cutoff = new Date(now.getTime() - this.historyRetentionDays * DAY);
+    const purged = await this.withLock(async (client) => {
+      const result = await client.query(
+        "DELETE FROM locations_default WHERE recorded_at < $1",
+        [cutoff]
+      );
+      return result.rowCount;
+    });
+
+    if (purged > 0) {
+      this.logger.info(
+        `${purged} row(s) older than ${this.historyRetentionDays} days purged from locations_default`
+      );
+    }
+
+    this.stats.rowsRemoved += purged;
+    return purged;
+  }
+
+  /**
+   * Partições mensais de locations, com período e situação do downsampling
+   */
+  async listPartitions() {
+    const result = await this.database.query(`
+      SELECT c.relname AS name, d.partition_name IS NOT NULL AS downsampled
+      FROM pg_inherits i
+      JOIN pg_class c ON c.oid = i.inhrelid
+      LEFT JOIN location_downsampling d ON d.partition_name = c.relname
+      WHERE i.inhparent = 'locations'::regclass
+      ORDER BY c.relname
+    `);
+
+    return result.rows
+      .map((row) => {
+        const match = row.name.match(PARTITION_NAME);
+        if (!match) {
+          return null; // locations_default
+        }
+
+        const year = Number(match[1]);
+        const month = Number(match[2]) - 1;
+        return {
+          name: row.name,
+          start: new Date(Date.UTC(year, month, 1)),
+          end: new Date(Date.UTC(year, month + 1, 1)),
+          downsampled: row.downsampled,
+        };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Executar callback(client) em uma transação com o advisory lock da
+   * manutenção, aguardando outras instâncias
+   */
+  async withLock(callback) {
+    return await this.database.transaction(async (client) => {
+      await client.query("SELECT pg_advisory_xact_lock($1)", [
+        MAINTENANCE_LOCK_KEY,
+      ]);
+      return await callback(client);
+    });
+  }
+
+  /**
+   * Estatísticas do job
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      enabled: Boolean(this.interval),
+      rawRetentionDays: this.rawRetentionDays,
+      historyRetentionDays: this.historyRetentionDays,
+    };
+  }
+
+  /**
+   * Nome da partição do mês (locations_pYYYYMM)
+   */
+  static partitionName(month) {
+    return `locations_p${month.getUTCFullYear()}${String(
+      month.getUTCMonth() + 1
+    ).padStart(2, "0")}`;
+  }
+}
+
+module.exports = { LocationMaintenanceService };
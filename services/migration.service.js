@@ -0,0 +1,232 @@
+const fs = require("fs");
+const path = require("path");
+const { DatabaseService } = require("./database.service");
+
+// Chave do advisory lock que serializa migrações entre instâncias
+const MIGRATION_LOCK_KEY = 48151623;
+
+/**
+ * Serviço de migrações do esquema PostgreSQL
+ * Migrações ficam em migrations/<versão>_<nome>.up.sql e .down.sql e são
+ * registradas na tabela schema_migrations
+ */
+class MigrationService {
+  constructor(
+    database = new DatabaseService(),
+    directory = path.join(__dirname, "..", "migrations")
+  ) {
+    this.database = database;
+    this.directory = directory;
+  }
+
+  /**
+   * Ler as migrações disponíveis, em ordem de versão
+   */
+  loadMigrations() {
+    const migrations = new Map(); // Map<versão, { version, name, up, down }>
+
+    for (const file of fs.readdirSync(this.directory)) {
+      const match = file.match(/^(\d+)_(.+)\.(up|down)\.sql$/);
+      if (!match) {
+        continue;
+      }
+
+      const version = Number(match[1]);
+      const migration = migrations.get(version) || {
+        version,
+        id: `${match[1]}_${match[2]}`,
+        name: match[2],
+        up: null,
+        down: null,
+      };
+
+      if (migration.name !== match[2]) {
+        throw new Error(`Duplicate migration version ${version}`);
+      }
+
+      migration[match[3]] = path.join(this.directory, file);
+      migrations.set(version, migration);
+    }
+
+    for (const migration of migrations.values()) {
+      if (!migration.up) {
+        throw new Error(`Migration ${migration.version} has no .up.sql file`);
+      }
+    }
+
+    return [...migrations.values()].sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Versões aplicadas no banco
+   */
+  async getAppliedVersions() {
+    const exists = await this.database.query(
+      "SELECT to_regclass('schema_migrations') AS name"
+    );
+    if (!exists.rows[0].name) {
+      return new Map();
+    }
+
+    const result = await this.database.query(
+      "SELECT version, applied_at FROM schema_migrations ORDER BY version"
+    );
+    return new Map(result.rows.map((row) => [row.version, row.applied_at]));
+  }
+
+  /**
+   * Aplicar todas as migrações pendentes
+   * Retorna as migrações aplicadas
+   */
+  async migrate() {
+    await this.database.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    const applied = await this.getAppliedVersions();
+    const executed = [];
+
+    for (const migration of this.loadMigrations()) {
+      if (applied.has(migration.version)) {
+        continue;
+      }
+
+      const ran = await this.database.transaction(async (client) => {
+        await client.query("SELECT pg_advisory_xact_lock($1)", [
+          MIGRATION_LOCK_KEY,
+        ]);
+
+        // Outra instância pode ter aplicado enquanto aguardávamos o lock
+        const current = await client.query(
+          "SELECT 1 FROM schema_migrations WHERE version = $1",
+          [migration.version]
+        );
+        if (current.rows.length > 0) {
+          return false;
+        }
+
+        await client.query(fs.readFileSync(migration.up, "utf8"));
+        await client.query(
+          "INSERT INTO schema_migrations (version, name) VALUES ($1, $2)",
+          [migration.version, migration.name]
+        );
+        return true;
+      });
+
+      if (ran) {
+        console.log(`Migration ${migration.id} applied`);
+        executed.push(migration);
+      }
+    }
+
+    return executed;
+  }
+
+  /**
+   * Reverter as últimas migrações aplicadas
+   * Retorna as migrações revertidas
+   */
+  async rollback(steps = 1) {
+    const applied = await this.getAppliedVersions();
+    const migrations = this.loadMigrations()
+      .filter((migration) => applied.has(migration.version))
+      .reverse()
+      .slice(0, steps);
+    const reverted = [];
+
+    // Recusar antes de reverter qualquer passo: 001 não tem .down.sql porque
+    // adota tabelas criadas antes das migrações, que não podem ser removidas
+    const irreversible = migrations.find((migration) => !migration.down);
+    if (irreversible) {
+      throw new Error(
+        `Migration ${irreversible.id} is irreversible (no .down.sql file)`
+      );
+    }
+
+    for (const migration of migrations) {
+      const ran = await this.database.transaction(async (client) => {
+        await client.query("SELECT pg_advisory_xact_lock($1)", [
+          MIGRATION_LOCK_KEY,
+        ]);
+
+        const current = await client.query(
+          "SELECT 1 FROM schema_migrations WHERE version = $1",
+          [migration.version]
+        );
+        if (current.rows.length === 0) {
+          return false;
+        }
+
+        await client.query(fs.readFileSync(migration.down, "utf8"));
+        await client.query("DELETE FROM schema_migrations WHERE version = $1", [
+          migration.version,
+        ]);
+        return true;
+      });
+
+      if (ran) {
+        console.log(`Migration ${migration.id} rolled back`);
+        reverted.push(migration);
+      }
+    }
+
+    return reverted;
+  }
+
+  /**
+   * Situação de cada migração
+   */
+  async status() {
+    const applied = await this.getAppliedVersions();
+
+    return this.loadMigrations().map((migration) => ({
+      id: migration.id,
+      version: migration.version,
+      name: migration.name,
+      applied: applied.has(migration.version),
+      appliedAt: applied.get(migration.version) || null,
+    }));
+  }
+
+  /**
+   * Verificar se o banco está na versão esperada pelo código
+   * Lança erro se houver migrações pendentes ou versões aplicadas que o
+   * código não conhece (banco migrado por uma versão mais nova)
+   */
+  async checkSchema() {
+    const applied = await this.getAppliedVersions();
+    const migrations = await this.status();
+    const known = new Set(migrations.map((migration) => migration.version));
+    const unknown = [...applied.keys()].filter(
+      (version) => !known.has(version)
+    );
+
+    if (unknown.length > 0) {
+      throw new Error(
+        `Database schema is newer than this code, unknown applied migrations: ${unknown.join(
+          ", "
+        )}. Deploy the matching server version or roll the database back`
+      );
+    }
+
+    const pending = migrations.filter((migration) => !migration.applied);
+
+    if (pending.length > 0) {
+      throw new Error(
+        `Database schema is outdated, pending migrations: ${pending
+          .map((migration) => migration.id)
+          .join(", ")}. Run "npm run migrate" before starting the server`
+      );
+    }
+
+    return migrations.length > 0
+      ? migrations[migrations.length - 1].version
+      : 0;
+  }
+}
+
+module.exports = { MigrationService };
@@ -56,6 +56,8 @@ class RabbitMQService {
       "tracker_messages", // Mensagens recebidas dos trackers
       "device_alerts", // Alertas dos dispositivos
       "location_updates", // Atualizações de localização
+      "command_status", // Transições de status dos comandos
+      "command_catalog", // Consultas ao catálogo de comandos (request/reply)
     ];
 
     const queueTtl = process.env.QUEUE_TTL
@@ -143,8 +145,8 @@ class RabbitMQService {
           try {
             const message = JSON.parse(msg.content.toString());
 
-            // Executar handler
-            await handler(message);
+            // Executar handler (properties permite responder via replyTo)
+            await handler(message, msg.properties);
 
             // ACK da mensagem após processamento bem-sucedido
             this.channel.ack(msg);
@@ -223,6 +225,33 @@ class RabbitMQService {
     });
   }
 
+  /**
+   * Publicar transição de status de comando
+   */
+  async publishCommandStatus(commandId, status, data = {}) {
+    return await this.publishToQueue("command_status", {
+      commandId,
+      status,
+      ...data,
+      timestamp: new Date(),
+      source: "tcp-server",
+    });
+  }
+
+  /**
+   * Responder uma requisição recebida (padrão request/reply)
+   */
+  async reply(properties, message) {
+    if (!properties || !properties.replyTo) {
+      return false;
+    }
+
+    return await this.publishToQueue(properties.replyTo, message, {
+      correlationId: properties.correlationId,
+      persistent: false,
+    });
+  }
+
   /**
    * Obter estatísticas das filas
    */
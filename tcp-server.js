@@ -1,43 +1,224 @@
 const net = require("net");
+const tls = require("tls");
+const crypto = require("crypto");
 const EventEmitter = require("events");
 const { RabbitMQService } = require("./services/rabbitmq.service");
 const { DatabaseService } = require("./services/database.service");
+const { MigrationService } = require("./services/migration.service");
+const {
+  LocationMaintenanceService,
+} = require("./services/location-maintenance.service");
 const { ProtocolParser } = require("./protocol-parser");
+const { FrameDecoder } = require("./frame-decoder");
+const { CommandCatalog } = require("./command-catalog");
+const { AdmissionControl } = require("./admission-control");
+const { TlsCredentials } = require("./tls-credentials");
 const { DeviceManager } = require("./device-manager");
+const { DeviceCache } = require("./device-cache");
+const { UDPListener } = require("./udp-listener");
 const { Logger } = require("./utils/logger");
 
+// Tempo máximo sem dados por protocolo, com folga sobre o heartbeat típico
+const DEFAULT_IDLE_TIMEOUTS = {
+  gt06: 600000, // heartbeat 0x13 a cada 3-5 minutos
+  tk103: 600000,
+  gps303: 600000,
+  h02: 600000, // LINK/HTBT a cada 3-5 minutos
+  teltonika: 900000, // sem heartbeat, somente pacotes AVL
+  jt808: 300000, // heartbeat 0x0002 padrão de 60 segundos
+};
+
 /**
  * TCP Server para comunicação com dispositivos GPS
  * Recebe dados dos trackers e envia comandos remotos
  */
 class TCPServer extends EventEmitter {
-  constructor(port = 5000, host = "0.0.0.0") {
+  /**
+   * port: porta com detecção automática de protocolo
+   * protocolPorts: mapa porta → protocolo fixo (ex: { 5001: "gt06", 5002: "h02" })
+   * options.udpPorts: mapa porta UDP → protocolo fixo ou "auto"
+   * options.udpSessionTtl: validade (ms) do último endereço de um dispositivo UDP
+   * options.tlsPorts: mapa porta TLS → protocolo fixo ou "auto"
+   * options.tls: arquivos de certificado do listener TLS (ver TlsCredentials)
+   * options.commandTtl: validade (ms) de comandos pendentes para dispositivos offline
+   * options.commandAckTimeout: espera (ms) pela resposta de um comando enviado
+   * options.commandRetries: reenvios antes de marcar o comando como timeout
+   * options.idleTimeout: tempo máximo (ms) sem dados antes do protocolo ser conhecido
+   * options.idleTimeouts: mapa protocolo → tempo máximo (ms) sem dados
+   * options.keepAliveDelay: atraso (ms) do primeiro probe de TCP keepalive
+   * options.maxConnections: conexões TCP simultâneas em todos os listeners
+   * options.maxConnectionsPerIp: conexões TCP simultâneas por IP
+   * options.messageRateLimit: mensagens por conexão em messageRateWindow (ms)
+   * options.banDuration: banimento (ms) do IP que excede a taxa de mensagens
+   *   antes da autenticação
+   * options.deviceCacheTtl: validade (ms) do cache IMEI → dispositivo
+   * options.deviceCacheNegativeTtl: validade (ms) do cache de IMEIs desconhecidos
+   * options.locationMaintenance: partições, retenção e downsampling de
+   *   locations (ver LocationMaintenanceService)
+   */
+  constructor(port = 5000, host = "0.0.0.0", protocolPorts = {}, options = {}) {
     super();
 
     this.port = port;
     this.host = host;
     this.connectedDevices = new Map(); // Map<imei, DeviceConnection>
+    this.commandTtl = options.commandTtl || 86400000; // 24 horas
+    this.commandExpiryInterval = null;
+    this.commandAckTimeout = options.commandAckTimeout || 30000;
+    this.commandRetries =
+      options.commandRetries !== undefined ? options.commandRetries : 2;
+    this.commandReference = 0; // Server flag / serial dos comandos enviados
+    this.idleTimeout = options.idleTimeout || 600000; // 10 minutos
+    this.idleTimeouts = { ...DEFAULT_IDLE_TIMEOUTS, ...options.idleTimeouts };
+    this.keepAliveDelay = options.keepAliveDelay || 60000;
 
     // Inicializar serviços
     this.logger = new Logger("TCP-SERVER");
     this.rabbitMQ = new RabbitMQService();
     this.database = new DatabaseService();
+    this.migrations = new MigrationService(this.database);
+    this.locationMaintenance = new LocationMaintenanceService(
+      this.database,
+      options.locationMaintenance
+    );
     this.parser = new ProtocolParser();
+    this.frameDecoder = new FrameDecoder();
+    this.commandCatalog = new CommandCatalog();
+    this.deviceProtocols = new Map(); // Map<imei, último protocolo>, para validar comandos offline
     this.deviceManager = new DeviceManager();
+    this.deviceCache = new DeviceCache(this.database, {
+      ttl: options.deviceCacheTtl,
+      negativeTtl: options.deviceCacheNegativeTtl,
+    });
+    this.deviceCache.on("invalidated", (imei) =>
+      this.refreshDeviceSession(imei).catch((error) =>
+        this.logger.error(`Error refreshing device ${imei}:`, error)
+      )
+    );
+    this.admission = new AdmissionControl({
+      maxConnections: options.maxConnections,
+      maxConnectionsPerIp: options.maxConnectionsPerIp,
+      messageRateLimit: options.messageRateLimit,
+      messageRateWindow: options.messageRateWindow,
+      banDuration: options.banDuration,
+    });
+
+    // Criar listeners TCP (porta catch-all + portas dedicadas por protocolo)
+    this.listeners = [this.createListener(this.port, null)];
+
+    for (const [listenerPort, protocol] of Object.entries(protocolPorts)) {
+      if (!this.parser.parsers[protocol]) {
+        throw new Error(
+          `Unknown protocol "${protocol}" for port ${listenerPort}`
+        );
+      }
+      this.listeners.push(this.createListener(Number(listenerPort), protocol));
+    }
+
+    // Listeners TLS (após o handshake, mesmo pipeline das conexões TCP)
+    this.tlsCredentials = null;
+    const tlsPorts = Object.entries(options.tlsPorts || {});
+    if (tlsPorts.length > 0) {
+      this.tlsCredentials = new TlsCredentials(options.tls);
+    }
 
-    // Criar servidor TCP
-    this.server = net.createServer();
-    this.setupServer();
+    for (const [tlsPort, protocol] of tlsPorts) {
+      const fixedProtocol = protocol === "auto" ? null : protocol;
+      if (fixedProtocol && !this.parser.parsers[fixedProtocol]) {
+        throw new Error(
+          `Unknown protocol "${protocol}" for TLS port ${tlsPort}`
+        );
+      }
+      this.listeners.push(
+        this.createListener(Number(tlsPort), fixedProtocol, "tls")
+      );
+    }
+
+    this.server = this.listeners[0].server;
+
+    // Listeners UDP (sessões virtuais por IMEI)
+    this.udpListeners = [];
+    for (const [udpPort, protocol] of Object.entries(options.udpPorts || {})) {
+      const fixedProtocol = protocol === "auto" ? null : protocol;
+      if (fixedProtocol && !this.parser.parsers[fixedProtocol]) {
+        throw new Error(
+          `Unknown protocol "${protocol}" for UDP port ${udpPort}`
+        );
+      }
+      this.udpListeners.push(
+        new UDPListener(this, Number(udpPort), host, fixedProtocol, {
+          sessionTtl: options.udpSessionTtl,
+        })
+      );
+    }
+  }
+
+  /**
+   * Criar listener TCP ou TLS
+   * protocol = null mantém a detecção automática
+   */
+  createListener(port, protocol, transport = "tcp") {
+    const listener = {
+      port,
+      protocol,
+      transport,
+      server:
+        transport === "tls"
+          ? tls.createServer(this.tlsCredentials.getServerOptions())
+          : net.createServer(),
+      stats: {
+        totalConnections: 0,
+        activeConnections: 0,
+        messagesReceived: 0,
+        bytesReceived: 0,
+        bytesDropped: 0,
+      },
+    };
+
+    this.setupServer(listener);
+    return listener;
   }
 
   /**
    * Configurar eventos do servidor TCP
    */
-  setupServer() {
-    this.server.on("connection", (socket) => this.handleConnection(socket));
-    this.server.on("error", (error) => this.handleServerError(error));
-    this.server.on("listening", () => {
-      this.logger.info(`TCP Server listening on ${this.host}:${this.port}`);
+  setupServer(listener) {
+    const label = listener.protocol || "auto";
+
+    // Admissão no socket bruto, antes do handshake TLS
+    listener.server.on("connection", (socket) => {
+      if (
+        this.admitConnection(socket, listener) &&
+        listener.transport === "tcp"
+      ) {
+        this.handleConnection(socket, listener);
+      }
+    });
+
+    if (listener.transport === "tls") {
+      listener.server.on("secureConnection", (socket) => {
+        const verification = this.tlsCredentials.verifyClient(socket);
+        if (!verification.allowed) {
+          this.logger.warn(
+            `TLS client ${socket.remoteAddress}:${socket.remotePort} rejected: ${verification.reason}`
+          );
+          socket.destroy();
+          return;
+        }
+
+        this.handleConnection(socket, listener);
+      });
+      listener.server.on("tlsClientError", (error, socket) => {
+        this.logger.warn(
+          `TLS handshake failed for ${socket.remoteAddress}:${socket.remotePort}: ${error.message}`
+        );
+      });
+    }
+    listener.server.on("error", (error) => this.handleServerError(error));
+    listener.server.on("listening", () => {
+      this.logger.info(
+        `${listener.transport.toUpperCase()} Server listening on ${this.host}:${listener.port} (${label})`
+      );
     });
   }
 
@@ -46,6 +227,10 @@ class TCPServer extends EventEmitter {
    */
   async start() {
     try {
+      // Recusar iniciar com o esquema do banco desatualizado
+      const schemaVersion = await this.migrations.checkSchema();
+      this.logger.info(`Database schema version ${schemaVersion}`);
+
       // Conectar RabbitMQ
       await this.rabbitMQ.connect();
       this.logger.info("RabbitMQ connected");
@@ -53,14 +238,33 @@ class TCPServer extends EventEmitter {
       // Configurar consumer para comandos
       await this.setupCommandConsumer();
 
-      // Iniciar servidor TCP
-      return new Promise((resolve, reject) => {
-        this.server.listen(this.port, this.host, () => {
-          this.logger.info("TCP Server started successfully");
-          resolve();
-        });
-        this.server.on("error", reject);
-      });
+      // Invalidação do cache de dispositivos (LISTEN/NOTIFY)
+      await this.deviceCache.start();
+
+      // Iniciar listeners TCP
+      await Promise.all(
+        this.listeners.map(
+          (listener) =>
+            new Promise((resolve, reject) => {
+              listener.server.listen(listener.port, this.host, resolve);
+              listener.server.on("error", reject);
+            })
+        )
+      );
+
+      // Iniciar listeners UDP
+      await Promise.all(this.udpListeners.map((listener) => listener.start()));
+
+      // Expirar comandos pendentes de dispositivos que não reconectaram
+      this.commandExpiryInterval = setInterval(
+        () => this.expirePendingCommands(),
+        60000
+      );
+
+      // Partições mensais, retenção e downsampling de locations
+      this.locationMaintenance.start();
+
+      this.logger.info("TCP Server started successfully");
     } catch (error) {
       this.logger.error("Failed to start TCP Server:", error);
       throw error;
@@ -79,23 +283,72 @@ class TCPServer extends EventEmitter {
       }
     });
 
+    // Consultas ao catálogo de comandos (botões disponíveis por dispositivo)
+    await this.rabbitMQ.consumeQueue(
+      "command_catalog",
+      async (message, properties) => {
+        await this.rabbitMQ.reply(
+          properties,
+          this.getCommandCatalog(message.imei, message.protocol)
+        );
+      }
+    );
+
     this.logger.info("Command consumer configured");
   }
 
+  /**
+   * Aplicar o controle de admissão a um novo socket
+   * A vaga do IP é liberada quando o socket fecha
+   */
+  admitConnection(socket, listener) {
+    const ip = socket.remoteAddress;
+    const admission = this.admission.admit(ip);
+
+    if (!admission.allowed) {
+      this.logger.warn(
+        `Connection from ${ip}:${socket.remotePort} on port ${listener.port} rejected (${admission.reason})`
+      );
+      socket.destroy();
+      return false;
+    }
+
+    socket.once("close", () => this.admission.release(ip));
+    return true;
+  }
+
   /**
    * Manipular nova conexão TCP
    */
-  async handleConnection(socket) {
+  async handleConnection(socket, listener = this.listeners[0]) {
     const clientInfo = `${socket.remoteAddress}:${socket.remotePort}`;
-    this.logger.info(`New connection from ${clientInfo}`);
+
+    this.logger.info(
+      `New connection from ${clientInfo} on port ${listener.port}`
+    );
+
+    listener.stats.totalConnections++;
+    listener.stats.activeConnections++;
+
+    // Keepalive do sistema operacional detecta conexões half-open
+    socket.setKeepAlive(true, this.keepAliveDelay);
 
     // Criar objeto de conexão do dispositivo
     const deviceConnection = {
       socket,
+      listener,
       imei: null,
+      // Protocolo fixo da porta, ou detectado no primeiro frame válido
+      protocol: listener.protocol,
       authenticated: false,
       lastSeen: new Date(),
       buffer: Buffer.alloc(0), // Buffer para dados incompletos
+      inflightCommands: new Map(), // Map<referência, comando aguardando resposta>
+      idleTimer: null,
+      disconnectReason: null,
+      disconnected: false, // Desconexão já tratada (error seguido de close)
+      rate: { windowStart: Date.now(), count: 0 }, // Janela do limite de mensagens
+      queue: Promise.resolve(), // Processamento dos blocos em ordem de chegada
     };
 
     // Timeout para autenticação (30 segundos)
@@ -107,18 +360,32 @@ class TCPServer extends EventEmitter {
     }, 30000);
 
     // Eventos do socket
-    socket.on("data", async (data) => {
-      try {
-        clearTimeout(authTimeout);
-        await this.handleDeviceData(deviceConnection, data);
-        deviceConnection.lastSeen = new Date();
-      } catch (error) {
-        this.logger.error(`Error processing data from ${clientInfo}:`, error);
-      }
+    // Cada bloco aguarda o anterior (ex: login ainda autenticando no banco)
+    socket.on("data", (data) => {
+      clearTimeout(authTimeout);
+      deviceConnection.queue = deviceConnection.queue.then(async () => {
+        if (socket.destroyed) {
+          return;
+        }
+
+        try {
+          await this.handleDeviceData(deviceConnection, data);
+          deviceConnection.lastSeen = new Date();
+        } catch (error) {
+          this.logger.error(`Error processing data from ${clientInfo}:`, error);
+        }
+
+        // Após o processamento, para usar o timeout do protocolo detectado
+        if (!socket.destroyed) {
+          this.resetIdleTimer(deviceConnection);
+        }
+      });
     });
 
     socket.on("close", () => {
       clearTimeout(authTimeout);
+      clearTimeout(deviceConnection.idleTimer);
+      listener.stats.activeConnections--;
       this.handleDisconnection(deviceConnection);
       this.logger.info(`Connection closed for ${clientInfo}`);
     });
@@ -126,16 +393,36 @@ class TCPServer extends EventEmitter {
     socket.on("error", (error) => {
       this.logger.error(`Socket error for ${clientInfo}:`, error);
       clearTimeout(authTimeout);
+      clearTimeout(deviceConnection.idleTimer);
       this.handleDisconnection(deviceConnection);
     });
   }
 
+  /**
+   * Reiniciar o timeout de inatividade conforme o protocolo da conexão
+   */
+  resetIdleTimer(deviceConnection) {
+    clearTimeout(deviceConnection.idleTimer);
+
+    const timeout =
+      this.idleTimeouts[deviceConnection.protocol] || this.idleTimeout;
+
+    deviceConnection.idleTimer = setTimeout(() => {
+      this.logger.warn(
+        `No data from ${deviceConnection.imei || deviceConnection.socket.remoteAddress} for ${timeout}ms, closing connection`
+      );
+      deviceConnection.disconnectReason = "idle_timeout";
+      deviceConnection.socket.destroy();
+    }, timeout);
+  }
+
   /**
    * Processar dados recebidos do dispositivo
    */
   async handleDeviceData(deviceConnection, data) {
     // Adicionar dados ao buffer (para mensagens fragmentadas)
     deviceConnection.buffer = Buffer.concat([deviceConnection.buffer, data]);
+    deviceConnection.listener.stats.bytesReceived += data.length;
 
     const hexData = data.toString("hex").toUpperCase();
     const asciiData = data.toString("ascii");
@@ -143,69 +430,317 @@ class TCPServer extends EventEmitter {
     this.logger.info(`🔍 RAW DATA ASCII: ${asciiData}`);
     this.logger.debug(`Received data: ${hexData}`);
 
+    // Extração síncrona: eventos "data" concorrentes não reprocessam o buffer
+    let parseResults;
     try {
-      // Tentar fazer parse dos dados
-      const parseResult = this.parser.parse(deviceConnection.buffer);
+      parseResults = this.extractMessages(deviceConnection);
+    } catch (error) {
+      this.logger.error("Error parsing device data:", error);
+      this.recordDroppedBytes(deviceConnection, deviceConnection.buffer.length);
+      deviceConnection.buffer = Buffer.alloc(0);
+      return;
+    }
+
+    // Limite de taxa por conexão TCP ou por IP de origem UDP
+    if (
+      !this.admission.allowMessages(
+        deviceConnection.rate,
+        Math.max(parseResults.length, 1)
+      )
+    ) {
+      this.handleRateLimitExceeded(deviceConnection);
+      return;
+    }
+
+    for (const parseResult of parseResults) {
+      if (deviceConnection.socket.destroyed) {
+        break;
+      }
+
+      try {
+        await this.processMessage(deviceConnection, parseResult);
+      } catch (error) {
+        this.logger.error("Error processing device message:", error);
+      }
+    }
+  }
+
+  /**
+   * Encerrar a conexão que excedeu a taxa de mensagens
+   * O IP só é banido antes da autenticação (flood de conexões ou lixo): um
+   * dispositivo autenticado pode dividir o IP com outros (CGNAT da operadora)
+   */
+  handleRateLimitExceeded(deviceConnection) {
+    const ip = deviceConnection.socket.remoteAddress;
+
+    if (deviceConnection.authenticated) {
+      this.logger.warn(
+        `Message rate limit exceeded by ${deviceConnection.imei} (${ip}), closing connection`
+      );
+    } else {
+      this.logger.warn(
+        `Message rate limit exceeded by unauthenticated ${ip}, banning for ${this.admission.banDuration}ms`
+      );
+      this.admission.ban(ip);
+    }
+
+    deviceConnection.buffer = Buffer.alloc(0);
+    deviceConnection.disconnectReason = "rate_limited";
+    deviceConnection.socket.destroy();
+  }
+
+  /**
+   * Extrair e decodificar todos os frames completos do buffer da conexão
+   * Retorna os resultados de parse na ordem em que chegaram
+   */
+  extractMessages(deviceConnection) {
+    const results = [];
+
+    // Fluxo TCP sem protocolo: procurar o primeiro frame reconhecido
+    if (!deviceConnection.protocol && !deviceConnection.datagram) {
+      const parseResult = this.detectProtocol(deviceConnection);
+      if (!parseResult) {
+        return results;
+      }
+      results.push(parseResult);
+    }
+
+    // Datagrama UDP: parse direto do pacote
+    if (deviceConnection.datagram) {
+      const parseResult = this.parser.parse(
+        deviceConnection.buffer,
+        deviceConnection.protocol
+      );
 
       if (!parseResult.success) {
-        // Se não conseguiu fazer parse, aguardar mais dados
-        if (deviceConnection.buffer.length > 1024) {
-          // Limpar buffer se ficou muito grande
-          this.logger.warn("Buffer too large, clearing");
+        if (parseResult.protocolMismatch) {
+          results.push(parseResult);
+        } else {
+          // Sem protocolo não há como ressincronizar: descartar o buffer
+          this.logger.warn("Unparseable data, clearing buffer");
+          this.recordDroppedBytes(
+            deviceConnection,
+            deviceConnection.buffer.length
+          );
           deviceConnection.buffer = Buffer.alloc(0);
         }
-        return;
+        return results;
       }
 
-      // Parse bem-sucedido, remover dados processados do buffer
       deviceConnection.buffer = deviceConnection.buffer.slice(
         parseResult.bytesProcessed
       );
+      this.upgradeProtocol(deviceConnection, parseResult.protocol);
+      results.push(parseResult);
+      return results;
+    }
 
-      const parsedData = parseResult.data;
+    const { frames, remaining, discarded, dropped } = this.frameDecoder.extract(
+      deviceConnection.buffer,
+      deviceConnection.protocol
+    );
+    deviceConnection.buffer = remaining;
 
-      // Para GPS303, mensagem de login não tem IMEI ainda
-      if (parsedData.type === "login" && parsedData.protocol === "gps303") {
-        this.logger.info("🔓 GPS303 login detected, sending LOAD response");
-        const response = Buffer.from("LOAD", "ascii");
-        deviceConnection.socket.write(response);
-        return;
-      }
+    for (const frame of frames) {
+      const parseResult = this.parser.parse(frame, deviceConnection.protocol);
 
-      // Primeira mensagem deve conter IMEI para autenticação
-      if (!deviceConnection.authenticated && parsedData.imei) {
-        await this.authenticateDevice(deviceConnection, parsedData.imei);
+      if (parseResult.protocolMismatch) {
+        results.push(parseResult);
+        break;
       }
 
-      if (!deviceConnection.authenticated && parsedData.type !== "login") {
-        this.logger.warn("Device not authenticated, dropping message");
-        return;
+      if (!parseResult.success) {
+        this.logger.warn(
+          `Invalid ${deviceConnection.protocol} frame dropped: ${parseResult.error}`
+        );
+        this.recordDroppedBytes(deviceConnection, frame.length);
+        continue;
       }
 
-      // Processar diferentes tipos de mensagem
-      switch (parsedData.type) {
-        case "login":
-          await this.handleLogin(deviceConnection, parsedData);
-          break;
-        case "location":
-          await this.handleLocationData(deviceConnection, parsedData);
-          break;
-        case "heartbeat":
-          await this.handleHeartbeat(deviceConnection, parsedData);
-          break;
-        case "alarm":
-          await this.handleAlarmData(deviceConnection, parsedData);
-          break;
-        case "response":
-          await this.handleCommandResponse(deviceConnection, parsedData);
+      this.upgradeProtocol(deviceConnection, parseResult.protocol);
+      results.push(parseResult);
+    }
+
+    if (dropped > 0) {
+      this.logger.warn(
+        `Dropped ${dropped} bytes while resyncing ${deviceConnection.protocol} stream from ${deviceConnection.imei || deviceConnection.socket.remoteAddress}`
+      );
+      this.recordDroppedBytes(deviceConnection, dropped);
+
+      // Bytes descartados podem ser frames de outro protocolo
+      for (const chunk of discarded) {
+        const parseResult = this.parser.parse(chunk, deviceConnection.protocol);
+        if (parseResult.protocolMismatch) {
+          results.push(parseResult);
           break;
-        default:
-          this.logger.warn(`Unknown message type: ${parsedData.type}`);
+        }
       }
-    } catch (error) {
-      this.logger.error("Error parsing device data:", error);
-      // Limpar buffer em caso de erro
-      deviceConnection.buffer = Buffer.alloc(0);
+    }
+
+    return results;
+  }
+
+  /**
+   * Detectar o protocolo de um fluxo TCP e travá-lo no primeiro frame completo
+   * reconhecido (marcadores de início de cada protocolo)
+   * O lixo antes do frame é descartado; um candidato incompleto mantém o
+   * buffer até chegarem mais dados (limitado a 1024 bytes)
+   * Retorna o resultado de parse do frame ou null
+   */
+  detectProtocol(deviceConnection) {
+    const { buffer } = deviceConnection;
+    const detected = this.frameDecoder.detect(
+      buffer,
+      Object.keys(this.parser.parsers),
+      (frame, protocol) => this.parser.parseCandidate(frame, protocol)
+    );
+
+    if (!detected.protocol) {
+      if (detected.waiting && buffer.length <= 1024) {
+        return null;
+      }
+
+      // Nenhum frame possível: manter apenas um marcador incompleto no fim
+      const keep = detected.waiting ? 0 : detected.partial;
+      if (buffer.length > keep) {
+        this.logger.warn(
+          `Unrecognized data from ${deviceConnection.socket.remoteAddress}, dropping ${buffer.length - keep} bytes`
+        );
+        this.recordDroppedBytes(deviceConnection, buffer.length - keep);
+        deviceConnection.buffer = buffer.slice(buffer.length - keep);
+      }
+      return null;
+    }
+
+    if (detected.offset > 0) {
+      this.logger.warn(
+        `Dropped ${detected.offset} bytes before first ${detected.protocol} frame from ${deviceConnection.socket.remoteAddress}`
+      );
+      this.recordDroppedBytes(deviceConnection, detected.offset);
+    }
+
+    deviceConnection.buffer = buffer.slice(detected.offset + detected.length);
+    deviceConnection.protocol = detected.protocol;
+    this.logger.info(
+      `Protocol ${detected.protocol} detected for ${deviceConnection.socket.remoteAddress}:${deviceConnection.socket.remotePort}`
+    );
+
+    return detected.result;
+  }
+
+  /**
+   * Passar a conexão ao protocolo derivado reconhecido pelo parser
+   * (ex: GPS 303 travado como TK103 pela mensagem de login)
+   */
+  upgradeProtocol(deviceConnection, protocol) {
+    if (!deviceConnection.protocol || deviceConnection.protocol === protocol) {
+      return;
+    }
+
+    this.logger.info(
+      `Protocol upgraded from ${deviceConnection.protocol} to ${protocol} for ${deviceConnection.imei || deviceConnection.socket.remoteAddress}`
+    );
+
+    deviceConnection.protocol = protocol;
+    if (deviceConnection.imei) {
+      this.deviceProtocols.set(deviceConnection.imei, protocol);
+    }
+  }
+
+  /**
+   * Contabilizar bytes descartados (lixo no fluxo ou frames inválidos)
+   */
+  recordDroppedBytes(deviceConnection, count) {
+    deviceConnection.listener.stats.bytesDropped += count;
+  }
+
+  /**
+   * Processar uma mensagem decodificada
+   */
+  async processMessage(deviceConnection, parseResult) {
+    if (parseResult.protocolMismatch) {
+      this.handleProtocolMismatch(
+        deviceConnection,
+        parseResult.protocolMismatch
+      );
+      return;
+    }
+
+    const parsedData = parseResult.data;
+    parsedData.protocol = parseResult.protocol;
+    deviceConnection.listener.stats.messagesReceived++;
+
+    // Primeira mensagem deve conter IMEI para autenticação
+    // (JT808 só autentica pelo código emitido no registro, em handleLogin)
+    if (
+      !deviceConnection.authenticated &&
+      parsedData.imei &&
+      !this.parser.requiresAuthCode(parsedData.protocol)
+    ) {
+      await this.authenticateDevice(deviceConnection, parsedData.imei);
+
+      // Autenticação recusada (IMEI desconhecido, certificado divergente)
+      if (deviceConnection.socket.destroyed) {
+        return;
+      }
+    }
+
+    if (!deviceConnection.authenticated && parsedData.type !== "login") {
+      this.logger.warn("Device not authenticated, dropping message");
+      return;
+    }
+
+    // Processar diferentes tipos de mensagem
+    switch (parsedData.type) {
+      case "login":
+        await this.handleLogin(deviceConnection, parsedData);
+        break;
+      case "location":
+        await this.handleLocationData(deviceConnection, parsedData);
+        break;
+      case "heartbeat":
+        await this.handleHeartbeat(deviceConnection, parsedData);
+        break;
+      case "alarm":
+        await this.handleAlarmData(deviceConnection, parsedData);
+        break;
+      case "batch":
+        await this.handleBatchData(deviceConnection, parsedData);
+        break;
+      case "response":
+        await this.handleCommandResponse(deviceConnection, parsedData);
+        break;
+      case "lbs":
+      case "info":
+      case "time_request":
+        await this.handleStatusMessage(deviceConnection, parsedData);
+        break;
+      case "fragment":
+        // Subpacote de mensagem longa, aguardando as demais partes
+        this.logger.debug(
+          `Fragment ${parsedData.packetIndex}/${parsedData.packetCount} received from ${deviceConnection.imei}`
+        );
+        break;
+      default:
+        this.logger.warn(`Unknown message type: ${parsedData.type}`);
+    }
+
+    // Resposta de consulta de posição (JT808 0x0201) também confirma comando
+    if (
+      parsedData.type !== "response" &&
+      parsedData.replySerial !== undefined
+    ) {
+      await this.acknowledgeCommand(deviceConnection, parsedData);
+    }
+
+    // Respostas exigidas pelo protocolo (ex: ACK de alarme GT06, hora UTC)
+    if (Buffer.isBuffer(parsedData.needsResponse)) {
+      deviceConnection.socket.write(parsedData.needsResponse);
+    }
+
+    if (deviceConnection.pendingCommandsFlush) {
+      deviceConnection.pendingCommandsFlush = false;
+      await this.flushPendingCommands(deviceConnection);
     }
   }
 
@@ -216,12 +751,36 @@ class TCPServer extends EventEmitter {
     try {
       this.logger.debug(`Attempting to authenticate device with IMEI: ${imei}`);
 
-      // Verificar se dispositivo existe no banco
-      const deviceRecord = await this.database.getDeviceByImei(imei);
+      // Dispositivos com certificado fixado só autenticam com esse certificado
+      if (this.tlsCredentials) {
+        const verification = this.tlsCredentials.verifyDevice(
+          imei,
+          deviceConnection.socket
+        );
+        if (!verification.allowed) {
+          this.logger.warn(`Device ${imei} rejected: ${verification.reason}`);
+          this.rejectDevice(deviceConnection);
+          return;
+        }
+      }
+
+      // Verificar se dispositivo existe no banco (via cache)
+      const deviceRecord = await this.deviceCache.get(imei, {
+        protocol: deviceConnection.protocol,
+        remoteAddress: deviceConnection.socket.remoteAddress,
+      });
 
       if (!deviceRecord) {
-        this.logger.warn(`Unknown device IMEI: ${imei}`);
-        deviceConnection.socket.destroy();
+        this.logger.warn(
+          `Unknown device IMEI: ${imei} (provisioning policy: ${this.database.provisioningPolicy})`
+        );
+        this.rejectDevice(deviceConnection);
+        return;
+      }
+
+      if (!deviceRecord.active) {
+        this.logger.warn(`Inactive device IMEI: ${imei}`);
+        this.rejectDevice(deviceConnection);
         return;
       }
 
@@ -230,8 +789,28 @@ class TCPServer extends EventEmitter {
       );
 
       deviceConnection.imei = imei;
+      deviceConnection.deviceId = deviceRecord.id;
+      if (deviceConnection.protocol) {
+        this.deviceProtocols.set(imei, deviceConnection.protocol);
+      }
       deviceConnection.authenticated = true;
 
+      // Fila de comandos pendentes é enviada após a resposta desta mensagem
+      deviceConnection.pendingCommandsFlush = true;
+
+      // Sessão anterior do mesmo IMEI: a conexão mais recente prevalece
+      const previous = this.connectedDevices.get(imei);
+      if (previous && previous !== deviceConnection) {
+        if (
+          deviceConnection.datagram &&
+          previous.listener === deviceConnection.listener
+        ) {
+          this.moveDatagramSession(previous, deviceConnection);
+        } else {
+          await this.replaceSession(previous, deviceConnection);
+        }
+      }
+
       // Registrar dispositivo como conectado
       this.connectedDevices.set(imei, deviceConnection);
       await this.deviceManager.setDeviceOnline(imei, true);
@@ -251,39 +830,237 @@ class TCPServer extends EventEmitter {
     }
   }
 
+  /**
+   * Recusar o dispositivo na autenticação e encerrar a conexão
+   * Protocolos com recusa explícita (Teltonika: 0x00) a recebem antes
+   */
+  rejectDevice(deviceConnection) {
+    const response = this.parser.buildRejectResponse(deviceConnection.protocol);
+    if (response) {
+      deviceConnection.socket.write(response);
+    }
+
+    deviceConnection.socket.destroy();
+  }
+
+  /**
+   * Encerrar a sessão anterior de um IMEI que reconectou
+   * Comandos sem resposta ficam sent_unconfirmed e não são reenviados
+   */
+  async replaceSession(previous, current) {
+    const imei = current.imei;
+    const previousAddress = `${previous.socket.remoteAddress}:${previous.socket.remotePort}`;
+    const currentAddress = `${current.socket.remoteAddress}:${current.socket.remotePort}`;
+
+    this.logger.warn(
+      `Device ${imei} reconnected from ${currentAddress}, closing previous session from ${previousAddress}`
+    );
+
+    // Liberar o IMEI antes de fechar, para que a desconexão não afete a nova sessão
+    this.connectedDevices.delete(imei);
+    await this.releaseInflightCommands(previous);
+    previous.socket.destroy();
+
+    const event = {
+      imei,
+      previous_address: previousAddress,
+      new_address: currentAddress,
+      previous_transport: previous.listener.transport,
+      new_transport: current.listener.transport,
+    };
+
+    this.emit("session_replaced", event);
+
+    try {
+      await this.rabbitMQ.publishToQueue("tracker_messages", {
+        type: "session_replaced",
+        ...event,
+        received_at: new Date(),
+      });
+    } catch (error) {
+      this.logger.error(
+        `Error publishing session replacement for ${imei}:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Dispositivo UDP enviando de outro endereço (ex: NAT da operadora)
+   * A nova sessão assume os comandos em andamento; não há substituição de
+   * sessão nem evento session_replaced
+   */
+  moveDatagramSession(previous, current) {
+    for (const entry of previous.inflightCommands.values()) {
+      clearTimeout(entry.timer);
+      current.inflightCommands.set(entry.reference, entry);
+      this.scheduleCommandTimeout(current, entry);
+    }
+    previous.inflightCommands.clear();
+
+    current.listener.moveSession(previous, current);
+  }
+
+  /**
+   * Recarregar o dispositivo conectado após alteração no cadastro
+   */
+  async refreshDeviceSession(imei) {
+    const deviceConnection = this.connectedDevices.get(imei);
+    if (!deviceConnection) {
+      return;
+    }
+
+    const device = await this.deviceCache.refresh(imei);
+    if (this.syncDeviceSession(deviceConnection, device)) {
+      this.logger.info(`Device ${imei} updated (company ${device.companyId})`);
+    }
+  }
+
+  /**
+   * Aplicar o cadastro atual à sessão; dispositivos removidos ou
+   * desativados são desconectados
+   * Retorna false quando a sessão foi encerrada
+   */
+  syncDeviceSession(deviceConnection, device) {
+    if (!device || !device.active) {
+      this.logger.warn(
+        `Device ${deviceConnection.imei} ${device ? "deactivated" : "removed"}, closing connection`
+      );
+      deviceConnection.disconnectReason = "device_deactivated";
+      deviceConnection.socket.destroy();
+      return false;
+    }
+
+    deviceConnection.deviceId = device.id;
+    return true;
+  }
+
   /**
    * Manipular login do dispositivo
    */
   async handleLogin(deviceConnection, data) {
+    if (this.parser.requiresAuthCode(data.protocol)) {
+      await this.handleAuthCodeLogin(deviceConnection, data);
+      return;
+    }
+
     this.logger.info(`Login received from device ${deviceConnection.imei}`);
 
     // Atualizar último login no banco
     await this.deviceManager.updateLastLogin(deviceConnection.imei);
 
     // Enviar confirmação de login
-    const loginResponse = this.parser.buildLoginResponse(true);
+    const loginResponse = this.parser.buildLoginResponse(
+      true,
+      deviceConnection.protocol,
+      data
+    );
     if (loginResponse) {
       deviceConnection.socket.write(loginResponse);
     }
   }
 
+  /**
+   * Registro e autenticação por código (JT808)
+   * O registro emite um código aleatório, gravado no dispositivo; a sessão só
+   * é autenticada por uma autenticação com esse código. Dispositivo
+   * desconhecido ou código inválido encerram a conexão
+   */
+  async handleAuthCodeLogin(deviceConnection, data) {
+    const imei = data.imei;
+
+    try {
+      if (data.registration) {
+        const device = await this.deviceCache.get(imei, {
+          protocol: deviceConnection.protocol,
+          remoteAddress: deviceConnection.socket.remoteAddress,
+        });
+
+        if (!device || !device.active) {
+          this.logger.warn(
+            `Registration rejected for ${device ? "inactive" : "unknown"} device ${imei}`
+          );
+          this.rejectAuthCodeLogin(deviceConnection, data);
+          return;
+        }
+
+        data.authCode = crypto.randomBytes(8).toString("hex");
+        await this.database.saveAuthCode(imei, data.authCode);
+        this.logger.info(`Auth code issued to device ${imei}`);
+      } else {
+        const authCode = await this.database.getAuthCode(imei);
+        data.authCodeValid = Boolean(
+          authCode &&
+          data.authCode.length === authCode.length &&
+          crypto.timingSafeEqual(
+            Buffer.from(data.authCode),
+            Buffer.from(authCode)
+          )
+        );
+
+        if (!data.authCodeValid) {
+          this.logger.warn(`Invalid auth code from device ${imei}`);
+          this.rejectAuthCodeLogin(deviceConnection, data);
+          return;
+        }
+
+        if (!deviceConnection.authenticated) {
+          await this.authenticateDevice(deviceConnection, imei);
+          if (deviceConnection.socket.destroyed) {
+            return;
+          }
+        }
+
+        this.logger.info(`Login received from device ${imei}`);
+        await this.deviceManager.updateLastLogin(imei);
+      }
+
+      const response = this.parser.buildLoginResponse(
+        true,
+        deviceConnection.protocol,
+        data
+      );
+      if (response) {
+        deviceConnection.socket.write(response);
+      }
+    } catch (error) {
+      this.logger.error(`Auth code login error for IMEI ${imei}:`, error);
+      deviceConnection.socket.destroy();
+    }
+  }
+
+  /**
+   * Recusar registro/autenticação por código e encerrar a conexão
+   */
+  rejectAuthCodeLogin(deviceConnection, data) {
+    const response = this.parser.buildLoginResponse(
+      false,
+      deviceConnection.protocol,
+      data
+    );
+    if (response) {
+      deviceConnection.socket.write(response);
+    }
+
+    deviceConnection.disconnectReason = "auth_failed";
+    deviceConnection.socket.destroy();
+  }
+
   /**
    * Manipular dados de localização
    */
   async handleLocationData(deviceConnection, data) {
     try {
-      // Obter ID do dispositivo
-      const deviceId = await this.database.getDeviceIdByImei(
-        deviceConnection.imei
-      );
+      const device = await this.deviceCache.get(deviceConnection.imei);
+      if (!this.syncDeviceSession(deviceConnection, device)) {
+        return;
+      }
+      const deviceId = device.id;
 
-      // Salvar localização no banco
+      // Salvar posição normalizada no banco (gravada no próximo lote)
       await this.database.saveLocation({
         device_id: deviceId,
-        latitude: data.latitude,
-        longitude: data.longitude,
-        speed: data.speed || 0,
-        timestamp: data.timestamp || new Date(),
+        ...data.position,
       });
 
       // Publicar no RabbitMQ para processamento adicional
@@ -296,7 +1073,7 @@ class TCPServer extends EventEmitter {
       });
 
       // Enviar ACK para o dispositivo
-      await this.sendLocationAck(deviceConnection, data.sequence || 0);
+      await this.sendLocationAck(deviceConnection, data.sequence || 0, data);
 
       this.logger.debug(
         `Location saved for device ${deviceConnection.imei} - Lat: ${data.latitude}, Lon: ${data.longitude}`
@@ -309,6 +1086,29 @@ class TCPServer extends EventEmitter {
     }
   }
 
+  /**
+   * Manipular pacote com múltiplos registros (ex: AVL Teltonika)
+   */
+  async handleBatchData(deviceConnection, data) {
+    // Registros em paralelo para entrarem no mesmo lote de inserts
+    await Promise.all(
+      data.records.map(async (record) => {
+        record.protocol = record.protocol || data.protocol;
+
+        // Alarmes gravam a própria posição, como fora do lote
+        if (record.type === "alarm") {
+          await this.handleAlarmData(deviceConnection, record);
+        } else {
+          await this.handleLocationData(deviceConnection, record);
+        }
+      })
+    );
+
+    this.logger.debug(
+      `Batch of ${data.records.length} records received from ${deviceConnection.imei}`
+    );
+  }
+
   /**
    * Manipular heartbeat
    */
@@ -317,7 +1117,10 @@ class TCPServer extends EventEmitter {
     await this.deviceManager.updateLastHeartbeat(deviceConnection.imei);
 
     // Responder heartbeat
-    const heartbeatResponse = this.parser.buildHeartbeatResponse();
+    const heartbeatResponse = this.parser.buildHeartbeatResponse(
+      deviceConnection.protocol,
+      data
+    );
     if (heartbeatResponse) {
       deviceConnection.socket.write(heartbeatResponse);
     }
@@ -330,11 +1133,13 @@ class TCPServer extends EventEmitter {
    */
   async handleAlarmData(deviceConnection, data) {
     try {
-      const deviceId = await this.database.getDeviceIdByImei(
-        deviceConnection.imei
-      );
+      const device = await this.deviceCache.get(deviceConnection.imei);
+      if (!this.syncDeviceSession(deviceConnection, device)) {
+        return;
+      }
+      const deviceId = device.id;
 
-      // Salvar alarme no banco
+      // Salvar alarme no banco (gravado no próximo lote)
       await this.database.saveAlert({
         device_id: deviceId,
         alert_type: data.alarmType,
@@ -345,6 +1150,14 @@ class TCPServer extends EventEmitter {
         raw_data: data.raw || null,
       });
 
+      // Posição do alarme, quando houver coordenadas
+      if (data.position) {
+        await this.database.saveLocation({
+          device_id: deviceId,
+          ...data.position,
+        });
+      }
+
       // Publicar alarme no RabbitMQ
       await this.rabbitMQ.publishToQueue("device_alerts", {
         type: "alarm",
@@ -366,33 +1179,113 @@ class TCPServer extends EventEmitter {
     }
   }
 
+  /**
+   * Manipular mensagens de status (LBS, informações do terminal, pedido de hora)
+   */
+  async handleStatusMessage(deviceConnection, data) {
+    try {
+      await this.rabbitMQ.publishToQueue("tracker_messages", {
+        type: data.type,
+        imei: deviceConnection.imei,
+        data: data,
+        received_at: new Date(),
+      });
+
+      this.logger.debug(
+        `Status message (${data.type}) received from ${deviceConnection.imei}`
+      );
+    } catch (error) {
+      this.logger.error(
+        `Error processing ${data.type} message from ${deviceConnection.imei}:`,
+        error
+      );
+    }
+  }
+
   /**
    * Manipular resposta de comando
    */
   async handleCommandResponse(deviceConnection, data) {
     try {
-      // Atualizar status do comando no banco
-      if (data.commandId) {
-        await this.database.updateCommandStatus(
-          data.commandId,
-          "acknowledged",
-          {
-            response: data.response,
-            ack_at: new Date(),
-          }
-        );
+      await this.acknowledgeCommand(deviceConnection, data);
+    } catch (error) {
+      this.logger.error(`Error updating command status:`, error);
+    }
+  }
 
-        this.logger.info(
-          `Command ${data.commandId} acknowledged by ${deviceConnection.imei}`
-        );
+  /**
+   * Associar a resposta do dispositivo ao comando em andamento
+   * GT06 devolve o server flag, JT808 o serial; nos demais protocolos
+   * (Codec 12, H02, TK103) a resposta corresponde ao comando mais antigo
+   */
+  async acknowledgeCommand(deviceConnection, data) {
+    const inflight = deviceConnection.inflightCommands;
+    let entry;
+
+    if (data.serverFlag !== undefined) {
+      entry = inflight.get(data.serverFlag);
+    } else if (data.replySerial !== undefined) {
+      entry = inflight.get(data.replySerial);
+    } else {
+      entry = inflight.values().next().value;
+    }
+
+    if (!entry) {
+      this.logger.debug(
+        `Response from ${deviceConnection.imei} does not match any pending command`
+      );
+      return;
+    }
+
+    clearTimeout(entry.timer);
+    inflight.delete(entry.reference);
+
+    // JT808: resultado diferente de 0 indica falha na execução
+    if (data.result !== undefined && data.result !== 0) {
+      await this.updateCommandStatus(deviceConnection, entry, "failed", {
+        response: data.response,
+        error: `Device rejected command: ${data.response}`,
+      });
+      return;
+    }
+
+    await this.updateCommandStatus(deviceConnection, entry, "acknowledged", {
+      response: data.response,
+      ack_at: new Date(),
+    });
+
+    this.logger.info(
+      `Command ${entry.commandId} acknowledged by ${deviceConnection.imei}`
+    );
+  }
+
+  /**
+   * Registrar transição de status do comando no banco e no RabbitMQ
+   */
+  async updateCommandStatus(deviceConnection, entry, status, data = {}) {
+    try {
+      if (!data.persisted) {
+        await this.database.updateCommandStatus(entry.commandId, status, data);
       }
+
+      await this.rabbitMQ.publishCommandStatus(entry.commandId, status, {
+        imei: deviceConnection.imei,
+        command: entry.command,
+        attempts: entry.attempts || 0,
+        response: data.response,
+        error: data.error,
+      });
     } catch (error) {
-      this.logger.error(`Error updating command status:`, error);
+      this.logger.error(
+        `Error recording status ${status} for command ${entry.commandId}:`,
+        error
+      );
     }
   }
 
   /**
    * Processar comando para enviar ao dispositivo
+   * Dispositivos offline mantêm o comando pendente até reconectarem
    */
   async handleDeviceCommand(message) {
     try {
@@ -400,39 +1293,300 @@ class TCPServer extends EventEmitter {
 
       const deviceConnection = this.connectedDevices.get(imei);
       if (!deviceConnection) {
-        this.logger.warn(`Device ${imei} not connected, cannot send command`);
+        // Validar com o último protocolo conhecido antes de manter pendente
+        const validation = this.commandCatalog.validate(
+          this.deviceProtocols.get(imei) || null,
+          command,
+          parameters || {}
+        );
+        if (!validation.valid) {
+          await this.rejectCommand({ imei }, commandId, command, validation);
+          return;
+        }
 
-        // Marcar comando como falhou
-        await this.database.updateCommandStatus(commandId, "failed", {
-          error: "Device not connected",
-          failed_at: new Date(),
-        });
+        this.logger.info(
+          `Device ${imei} not connected, command ${command} kept pending`
+        );
         return;
       }
 
-      // Construir comando baseado no protocolo
-      const commandBuffer = this.parser.buildCommand(command, parameters);
+      await this.sendCommand(deviceConnection, {
+        commandId,
+        command,
+        parameters,
+      });
+    } catch (error) {
+      this.logger.error("Error sending command to device:", error);
+    }
+  }
+
+  /**
+   * Construir e enviar comando para uma conexão autenticada
+   */
+  async sendCommand(deviceConnection, { commandId, command, parameters }) {
+    const imei = deviceConnection.imei;
+
+    const validation = this.commandCatalog.validate(
+      deviceConnection.protocol,
+      command,
+      parameters || {}
+    );
+    if (!validation.valid) {
+      await this.rejectCommand(
+        deviceConnection,
+        commandId,
+        command,
+        validation
+      );
+      return false;
+    }
 
-      if (!commandBuffer) {
-        this.logger.error(`Failed to build command: ${command}`);
-        await this.database.updateCommandStatus(commandId, "failed", {
-          error: "Invalid command format",
-          failed_at: new Date(),
-        });
-        return;
+    const reference = this.nextCommandReference();
+    const entry = { commandId, command, reference, attempts: 0 };
+
+    // Construir comando baseado no protocolo
+    const commandBuffer = this.parser.buildCommand(
+      command,
+      validation.parameters,
+      deviceConnection.protocol,
+      imei,
+      reference
+    );
+
+    if (!commandBuffer) {
+      this.logger.error(`Failed to build command: ${command}`);
+      await this.updateCommandStatus(deviceConnection, entry, "failed", {
+        error: "Invalid command format",
+        failed_at: new Date(),
+      });
+      return false;
+    }
+
+    // Marcar como enviado antes de escrever, evitando envio duplicado
+    // entre a fila de pendentes e o consumer
+    if (commandId) {
+      const claimed = await this.database.claimPendingCommand(
+        commandId,
+        this.commandTtl
+      );
+      if (!claimed) {
+        this.logger.warn(
+          `Command ${commandId} is no longer pending, not sending to ${imei}`
+        );
+        return false;
       }
+    }
+
+    // Enviar comando para dispositivo
+    deviceConnection.socket.write(commandBuffer);
+    this.logger.info(`Command ${command} sent to device ${imei}`);
+
+    if (commandId) {
+      entry.buffer = commandBuffer;
+      entry.attempts = 1;
+      deviceConnection.inflightCommands.set(reference, entry);
+      this.scheduleCommandTimeout(deviceConnection, entry);
+
+      await this.updateCommandStatus(deviceConnection, entry, "sent", {
+        persisted: true,
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * Rejeitar comando inválido ou não suportado, registrando o motivo
+   */
+  async rejectCommand(deviceConnection, commandId, command, validation) {
+    this.logger.warn(
+      `Command ${command} rejected for ${deviceConnection.imei}: ${validation.error}`
+    );
+
+    if (commandId) {
+      await this.updateCommandStatus(
+        deviceConnection,
+        { commandId, command },
+        "rejected",
+        { error: validation.error }
+      );
+    }
+  }
+
+  /**
+   * Catálogo de comandos de um dispositivo (pelo protocolo da conexão ou
+   * o último conhecido). Sem protocolo, retorna o catálogo de todos
+   */
+  getCommandCatalog(imei = null, protocol = null) {
+    const deviceConnection = imei ? this.connectedDevices.get(imei) : null;
+    const deviceProtocol =
+      (deviceConnection && deviceConnection.protocol) ||
+      (imei && this.deviceProtocols.get(imei)) ||
+      protocol ||
+      null;
+
+    if (!deviceProtocol) {
+      return {
+        imei,
+        protocol: null,
+        connected: Boolean(deviceConnection),
+        protocols: this.commandCatalog.getCatalog(),
+      };
+    }
+
+    return {
+      imei,
+      protocol: deviceProtocol,
+      connected: Boolean(deviceConnection),
+      commands: this.commandCatalog.getCommands(deviceProtocol),
+    };
+  }
+
+  /**
+   * Próxima referência de comando (1 a 65535, cabe no serial JT808)
+   */
+  nextCommandReference() {
+    this.commandReference = (this.commandReference % 0xffff) + 1;
+    return this.commandReference;
+  }
+
+  /**
+   * Aguardar resposta do comando, reenviando até o limite de tentativas
+   */
+  scheduleCommandTimeout(deviceConnection, entry) {
+    entry.timer = setTimeout(
+      () => this.handleCommandTimeout(deviceConnection, entry),
+      this.commandAckTimeout
+    );
+  }
 
-      // Enviar comando para dispositivo
-      deviceConnection.socket.write(commandBuffer);
+  async handleCommandTimeout(deviceConnection, entry) {
+    const inflight = deviceConnection.inflightCommands;
+    if (inflight.get(entry.reference) !== entry) {
+      return;
+    }
+
+    if (
+      entry.attempts <= this.commandRetries &&
+      !deviceConnection.socket.destroyed
+    ) {
+      entry.attempts++;
+      deviceConnection.socket.write(entry.buffer);
+      this.scheduleCommandTimeout(deviceConnection, entry);
 
-      // Marcar como enviado
-      await this.database.updateCommandStatus(commandId, "sent", {
+      this.logger.warn(
+        `No response to command ${entry.commandId} from ${deviceConnection.imei}, retry ${entry.attempts - 1}/${this.commandRetries}`
+      );
+      await this.updateCommandStatus(deviceConnection, entry, "sent", {
         sent_at: new Date(),
       });
+      return;
+    }
+
+    inflight.delete(entry.reference);
+    this.logger.warn(
+      `Command ${entry.commandId} timed out after ${entry.attempts} attempts`
+    );
+    await this.updateCommandStatus(deviceConnection, entry, "timeout", {
+      error: `No response after ${entry.attempts} attempts`,
+    });
+  }
 
-      this.logger.info(`Command ${command} sent to device ${imei}`);
+  /**
+   * Encerrar os comandos sem resposta de uma conexão encerrada
+   * O dispositivo pode ter executado o comando (ex: engine_stop) sem
+   * confirmar, então ele não volta para a fila: um novo envio depende do
+   * operador
+   */
+  async releaseInflightCommands(deviceConnection) {
+    const entries = Array.from(deviceConnection.inflightCommands.values());
+    deviceConnection.inflightCommands.clear();
+
+    for (const entry of entries) {
+      clearTimeout(entry.timer);
+      await this.updateCommandStatus(
+        deviceConnection,
+        entry,
+        "sent_unconfirmed",
+        { error: "Connection closed before device response" }
+      );
+    }
+  }
+
+  /**
+   * Enviar, em ordem, os comandos pendentes do dispositivo recém-autenticado
+   */
+  async flushPendingCommands(deviceConnection) {
+    try {
+      const pendingCommands = await this.database.getPendingCommands(
+        deviceConnection.deviceId
+      );
+
+      if (pendingCommands.length === 0) {
+        return;
+      }
+
+      this.logger.info(
+        `Delivering ${pendingCommands.length} pending commands to ${deviceConnection.imei}`
+      );
+
+      for (const pending of pendingCommands) {
+        if (deviceConnection.socket.destroyed) {
+          break;
+        }
+
+        const age = Date.now() - new Date(pending.created_at).getTime();
+        if (age > this.commandTtl) {
+          await this.updateCommandStatus(
+            deviceConnection,
+            { commandId: pending.id, command: pending.command_type },
+            "expired",
+            { error: "Command expired" }
+          );
+          this.logger.info(
+            `Command ${pending.id} expired before delivery to ${deviceConnection.imei}`
+          );
+          continue;
+        }
+
+        await this.sendCommand(deviceConnection, {
+          commandId: pending.id,
+          command: pending.command_type,
+          parameters:
+            typeof pending.payload === "string"
+              ? JSON.parse(pending.payload)
+              : pending.payload || {},
+        });
+      }
     } catch (error) {
-      this.logger.error("Error sending command to device:", error);
+      this.logger.error(
+        `Error delivering pending commands to ${deviceConnection.imei}:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Marcar como expirados os comandos pendentes além da validade
+   */
+  async expirePendingCommands() {
+    try {
+      const expired = await this.database.expirePendingCommands(
+        this.commandTtl
+      );
+
+      for (const command of expired) {
+        await this.rabbitMQ.publishCommandStatus(command.id, "expired", {
+          device_id: command.device_id,
+          error: "Command expired",
+        });
+      }
+
+      if (expired.length > 0) {
+        this.logger.info(`${expired.length} pending commands expired`);
+      }
+    } catch (error) {
+      this.logger.error("Error expiring pending commands:", error);
     }
   }
 
@@ -440,7 +1594,10 @@ class TCPServer extends EventEmitter {
    * Enviar resposta de autenticação
    */
   async sendAuthResponse(deviceConnection, success) {
-    const response = this.parser.buildAuthResponse(success);
+    const response = this.parser.buildAuthResponse(
+      success,
+      deviceConnection.protocol
+    );
     if (response) {
       deviceConnection.socket.write(response);
     }
@@ -449,21 +1606,75 @@ class TCPServer extends EventEmitter {
   /**
    * Enviar ACK de localização
    */
-  async sendLocationAck(deviceConnection, sequence) {
-    const ack = this.parser.buildLocationAck(sequence);
+  async sendLocationAck(deviceConnection, sequence, data = {}) {
+    const ack = this.parser.buildLocationAck(
+      sequence,
+      deviceConnection.protocol,
+      data
+    );
     if (ack) {
       deviceConnection.socket.write(ack);
     }
   }
 
+  /**
+   * Manipular troca de protocolo no meio da sessão
+   * O dispositivo é desconectado para que a próxima conexão detecte o novo protocolo
+   */
+  handleProtocolMismatch(deviceConnection, mismatch) {
+    const device =
+      deviceConnection.imei ||
+      `${deviceConnection.socket.remoteAddress}:${deviceConnection.socket.remotePort}`;
+
+    this.logger.error(
+      `Protocol mismatch for ${device}: session locked to ${mismatch.expected}, received ${mismatch.detected} frame`
+    );
+
+    this.emit("protocol_mismatch", {
+      imei: deviceConnection.imei,
+      expected: mismatch.expected,
+      detected: mismatch.detected,
+    });
+
+    deviceConnection.buffer = Buffer.alloc(0);
+    deviceConnection.socket.destroy();
+  }
+
   /**
    * Manipular desconexão de dispositivo
    */
-  handleDisconnection(deviceConnection) {
-    if (deviceConnection.imei) {
+  async handleDisconnection(deviceConnection) {
+    // "error" e "close" chegam para o mesmo socket: tratar uma única vez
+    if (deviceConnection.disconnected) {
+      return;
+    }
+    deviceConnection.disconnected = true;
+
+    // Somente a sessão atual do IMEI altera o registro (ver replaceSession)
+    if (
+      deviceConnection.imei &&
+      this.connectedDevices.get(deviceConnection.imei) === deviceConnection
+    ) {
+      const reason = deviceConnection.disconnectReason || "closed";
+
       this.connectedDevices.delete(deviceConnection.imei);
       this.deviceManager.setDeviceOnline(deviceConnection.imei, false);
-      this.logger.info(`Device ${deviceConnection.imei} disconnected`);
+      this.logger.info(
+        `Device ${deviceConnection.imei} disconnected (${reason})`
+      );
+      this.emit("device_disconnected", {
+        imei: deviceConnection.imei,
+        reason,
+      });
+    }
+
+    try {
+      await this.releaseInflightCommands(deviceConnection);
+    } catch (error) {
+      this.logger.error(
+        `Error releasing in-flight commands of ${deviceConnection.imei || deviceConnection.socket.remoteAddress}:`,
+        error
+      );
     }
   }
 
@@ -478,6 +1689,8 @@ class TCPServer extends EventEmitter {
    * Parar servidor
    */
   async stop() {
+    clearInterval(this.commandExpiryInterval);
+
     // Fechar todas as conexões
     for (const deviceConnection of this.connectedDevices.values()) {
       deviceConnection.socket.destroy();
@@ -485,13 +1698,54 @@ class TCPServer extends EventEmitter {
 
     this.connectedDevices.clear();
 
-    // Fechar servidor
-    return new Promise((resolve) => {
-      this.server.close(() => {
-        this.logger.info("TCP Server stopped");
-        resolve();
-      });
-    });
+    // Fechar listeners
+    await Promise.all(
+      this.listeners.map(
+        (listener) =>
+          new Promise((resolve) => listener.server.close(() => resolve()))
+      )
+    );
+
+    await Promise.all(this.udpListeners.map((listener) => listener.stop()));
+
+    await this.locationMaintenance.stop();
+
+    // Gravar localizações e alertas ainda no lote
+    await this.deviceCache.stop();
+    await this.database.close();
+
+    this.logger.info("TCP Server stopped");
+  }
+
+  /**
+   * Recarregar certificados TLS (ex: SIGHUP após renovação)
+   * Novas conexões usam os certificados novos; as atuais seguem abertas
+   */
+  reloadTlsCertificates() {
+    if (!this.tlsCredentials) {
+      return false;
+    }
+
+    try {
+      this.tlsCredentials.load();
+    } catch (error) {
+      this.logger.error(
+        "Failed to reload TLS certificates, keeping current ones:",
+        error
+      );
+      return false;
+    }
+
+    for (const listener of this.listeners) {
+      if (listener.transport === "tls") {
+        listener.server.setSecureContext(
+          this.tlsCredentials.secureContextOptions
+        );
+      }
+    }
+
+    this.logger.info("TLS certificates reloaded");
+    return true;
   }
 
   /**
@@ -515,6 +1769,16 @@ class TCPServer extends EventEmitter {
     return {
       connectedDevices: this.connectedDevices.size,
       serverPort: this.port,
+      listeners: [...this.listeners, ...this.udpListeners].map((listener) => ({
+        port: listener.port,
+        transport: listener.transport,
+        protocol: listener.protocol || "auto",
+        ...listener.stats,
+      })),
+      admission: this.admission.getStats(),
+      database: this.database.getPoolStats(),
+      deviceCache: this.deviceCache.getStats(),
+      locationMaintenance: this.locationMaintenance.getStats(),
       uptime: process.uptime(),
       memoryUsage: process.memoryUsage(),
     };
@@ -0,0 +1,101 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { CommandCatalog } = require("../command-catalog");
+const { ProtocolParser } = require("../protocol-parser");
+
+test("validate: normalizes numeric parameters", () => {
+  const catalog = new CommandCatalog();
+  const result = catalog.validate("gt06", "set_interval", { interval: "30" });
+
+  assert.deepStrictEqual(result, { valid: true, parameters: { interval: 30 } });
+});
+
+test("validate: rejects unsupported commands and unknown parameters", () => {
+  const catalog = new CommandCatalog();
+
+  assert.match(catalog.validate("h02", "locate").error, /not supported/);
+  assert.match(catalog.validate("gt06", "unknown").error, /Unknown command/);
+  assert.match(
+    catalog.validate("gt06", "reboot", { delay: 5 }).error,
+    /Unknown parameter/
+  );
+});
+
+test("validate: enforces ranges, patterns and reserved characters", () => {
+  const catalog = new CommandCatalog();
+
+  assert.strictEqual(
+    catalog.validate("gt06", "set_interval", { interval: 4 }).valid,
+    false
+  );
+  assert.strictEqual(
+    catalog.validate("gt06", "set_interval", { interval: 30.5 }).valid,
+    false
+  );
+  assert.strictEqual(
+    catalog.validate("tk103", "engine_stop", { password: "12345" }).valid,
+    false
+  );
+  assert.match(
+    catalog.validate("gt06", "set_apn", { apn: "internet,evil" }).error,
+    /reserved characters/
+  );
+  assert.match(
+    catalog.validate("gt06", "set_interval", {}).error,
+    /Missing required parameter/
+  );
+});
+
+test("validate: custom payload must match its encoding", () => {
+  const catalog = new CommandCatalog();
+
+  assert.strictEqual(
+    catalog.validate("gt06", "custom", { payload: "RESET#" }).valid,
+    true
+  );
+  assert.strictEqual(
+    catalog.validate("gt06", "custom", { payload: "abc", encoding: "hex" })
+      .valid,
+    false
+  );
+  assert.strictEqual(
+    catalog.validate("gt06", "custom", { payload: "0a1B", encoding: "hex" })
+      .valid,
+    true
+  );
+});
+
+test("catalog: every listed command can be built by its protocol parser", () => {
+  const catalog = new CommandCatalog();
+  const parser = new ProtocolParser();
+  const samples = {
+    engine_stop: { password: "123456" },
+    engine_resume: { password: "123456" },
+    set_interval: { interval: 60 },
+    set_apn: { apn: "internet" },
+    set_server: { host: "example.com", port: 5023 },
+    set_timezone: { offset: -3 },
+    overspeed: { speed: 100 },
+    custom: { payload: "STATUS#" },
+  };
+
+  for (const [protocol, commands] of Object.entries(catalog.getCatalog())) {
+    for (const { command } of commands) {
+      const parameters = samples[command] || {};
+      assert.strictEqual(
+        catalog.validate(protocol, command, parameters).valid,
+        true,
+        `${protocol}/${command}`
+      );
+      assert.ok(
+        parser.parsers[protocol].buildCommand(
+          command,
+          parameters,
+          "359710049095095"
+        ),
+        `${protocol}/${command}`
+      );
+    }
+  }
+});
@@ -0,0 +1,62 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { DeviceCache } = require("../device-cache");
+
+/**
+ * Banco falso: IMEIs cadastrados em devices, contando as consultas
+ */
+function createDatabase(devices = {}) {
+  return {
+    devices,
+    lookups: 0,
+    async getDeviceByImei(imei) {
+      this.lookups++;
+      return this.devices[imei] || null;
+    },
+  };
+}
+
+test("unknown IMEI is cached until the device is provisioned", async () => {
+  const database = createDatabase();
+  const cache = new DeviceCache(database);
+
+  assert.strictEqual(await cache.get("356307042441013"), null);
+  assert.strictEqual(await cache.get("356307042441013"), null);
+  assert.strictEqual(database.lookups, 1);
+
+  // Cadastro do dispositivo: trigger notifica device_changes com o IMEI
+  database.devices["356307042441013"] = {
+    id: 7,
+    imei: "356307042441013",
+    company_id: 3,
+  };
+  cache.handleNotification("356307042441013");
+
+  const device = await cache.get("356307042441013");
+  assert.strictEqual(device.id, 7);
+  assert.strictEqual(device.companyId, 3);
+  assert.strictEqual(database.lookups, 2);
+});
+
+test("unknown IMEI entry expires after negativeTtl", async () => {
+  const database = createDatabase();
+  const cache = new DeviceCache(database, { negativeTtl: 20 });
+
+  await cache.get("356307042441013");
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  await cache.get("356307042441013");
+
+  assert.strictEqual(database.lookups, 2);
+});
+
+test("negativeTtl 0 disables caching of unknown IMEIs", async () => {
+  const database = createDatabase();
+  const cache = new DeviceCache(database, { negativeTtl: 0 });
+
+  await cache.get("356307042441013");
+  await cache.get("356307042441013");
+
+  assert.strictEqual(database.lookups, 2);
+  assert.strictEqual(cache.getStats().size, 0);
+});
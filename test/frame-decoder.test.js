@@ -0,0 +1,196 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { FrameDecoder } = require("../frame-decoder");
+const { ProtocolParser } = require("../protocol-parser");
+const { hex, gt06Frame, jt808Frame } = require("./helpers");
+
+const GT06_LOGIN = hex("78780D01012345678901234500018CDD0D0A");
+const GT06_HEARTBEAT = gt06Frame(0x13, hex("4006040002"), 2);
+const TELTONIKA_IMEI = hex("000F333536333037303432343431303133");
+const TELTONIKA_CODEC8 = hex(
+  "000000000000003608010000016B40D8EA30010000000000000000000000000000000105021503010101425E0F01F10000601A014E0000000000000000010000C7CF"
+);
+const H02_TEXT = Buffer.from(
+  "*HQ,865205030330012,V1,145452,A,2240.55181,N,11358.32389,E,0.00,0,100815,FFFFFBFF#"
+);
+
+test("gt06: frame split across chunks waits and then completes", () => {
+  const decoder = new FrameDecoder();
+
+  const first = decoder.extract(GT06_LOGIN.slice(0, 7), "gt06");
+  assert.deepStrictEqual(first.frames, []);
+  assert.strictEqual(first.dropped, 0);
+  assert.deepStrictEqual(first.remaining, GT06_LOGIN.slice(0, 7));
+
+  const second = decoder.extract(
+    Buffer.concat([first.remaining, GT06_LOGIN.slice(7)]),
+    "gt06"
+  );
+  assert.deepStrictEqual(second.frames, [GT06_LOGIN]);
+  assert.strictEqual(second.remaining.length, 0);
+});
+
+test("gt06: several frames in one chunk", () => {
+  const decoder = new FrameDecoder();
+  const result = decoder.extract(
+    Buffer.concat([GT06_LOGIN, GT06_HEARTBEAT, GT06_LOGIN.slice(0, 3)]),
+    "gt06"
+  );
+
+  assert.deepStrictEqual(result.frames, [GT06_LOGIN, GT06_HEARTBEAT]);
+  assert.deepStrictEqual(result.remaining, GT06_LOGIN.slice(0, 3));
+  assert.strictEqual(result.dropped, 0);
+});
+
+test("gt06: bad CRC frame is dropped and the next frame recovered", () => {
+  const decoder = new FrameDecoder();
+  const corrupted = Buffer.from(GT06_LOGIN);
+  corrupted[corrupted.length - 3] ^= 0xff;
+
+  const result = decoder.extract(
+    Buffer.concat([corrupted, GT06_HEARTBEAT]),
+    "gt06"
+  );
+
+  assert.deepStrictEqual(result.frames, [GT06_HEARTBEAT]);
+  assert.strictEqual(result.dropped, corrupted.length);
+});
+
+test("gt06: garbage ending in a start marker does not block the stream", () => {
+  const decoder = new FrameDecoder();
+  const result = decoder.extract(
+    Buffer.concat([hex("0102037878"), GT06_LOGIN]),
+    "gt06"
+  );
+
+  assert.deepStrictEqual(result.frames, [GT06_LOGIN]);
+  assert.strictEqual(result.dropped, 5);
+});
+
+test("teltonika: handshake and AVL packet in one chunk", () => {
+  const decoder = new FrameDecoder();
+  const result = decoder.extract(
+    Buffer.concat([TELTONIKA_IMEI, TELTONIKA_CODEC8]),
+    "teltonika"
+  );
+
+  assert.deepStrictEqual(result.frames, [TELTONIKA_IMEI, TELTONIKA_CODEC8]);
+  assert.strictEqual(result.remaining.length, 0);
+});
+
+test("teltonika: AVL packet with bad CRC is discarded", () => {
+  const decoder = new FrameDecoder();
+  const corrupted = Buffer.from(TELTONIKA_CODEC8);
+  corrupted[20] ^= 0x01;
+
+  const result = decoder.extract(
+    Buffer.concat([corrupted, TELTONIKA_CODEC8]),
+    "teltonika"
+  );
+
+  assert.deepStrictEqual(result.frames, [TELTONIKA_CODEC8]);
+  assert.strictEqual(result.remaining.length, 0);
+  assert.strictEqual(result.dropped, corrupted.length);
+});
+
+test("jt808: escaped body bytes stay inside the frame", () => {
+  const decoder = new FrameDecoder();
+  const frame = jt808Frame(0x0002, "013912345678", 0x7e7d, Buffer.alloc(0));
+
+  const result = decoder.extract(
+    Buffer.concat([frame, frame.slice(0, 4)]),
+    "jt808"
+  );
+
+  assert.deepStrictEqual(result.frames, [frame]);
+  assert.deepStrictEqual(result.remaining, frame.slice(0, 4));
+});
+
+test("jt808: lost end flag resynchronizes on the next frame", () => {
+  const decoder = new FrameDecoder();
+  const frame = jt808Frame(0x0002, "013912345678", 1, Buffer.alloc(0));
+
+  // Fim de um frame anterior seguido do fim perdido ("7E7E")
+  const result = decoder.extract(
+    Buffer.concat([hex("01027e"), frame]),
+    "jt808"
+  );
+
+  assert.deepStrictEqual(result.frames, [frame]);
+  assert.strictEqual(result.dropped, 3);
+});
+
+test("h02: text frames split across chunks", () => {
+  const decoder = new FrameDecoder();
+
+  const first = decoder.extract(H02_TEXT.slice(0, 30), "h02");
+  assert.deepStrictEqual(first.frames, []);
+
+  const second = decoder.extract(
+    Buffer.concat([first.remaining, H02_TEXT.slice(30), H02_TEXT]),
+    "h02"
+  );
+  assert.deepStrictEqual(second.frames, [H02_TEXT, H02_TEXT]);
+});
+
+test("tk103: several lines in one chunk", () => {
+  const decoder = new FrameDecoder();
+  const login = Buffer.from("##,imei:359710049095095,A;");
+  const heartbeat = Buffer.from("359710049095095;");
+
+  const result = decoder.extract(
+    Buffer.concat([login, heartbeat, Buffer.from("imei:3597")]),
+    "tk103"
+  );
+
+  assert.deepStrictEqual(result.frames, [login, heartbeat]);
+  assert.strictEqual(result.remaining.toString(), "imei:3597");
+});
+
+test("detect: finds the first valid frame after garbage", () => {
+  const decoder = new FrameDecoder();
+  const parser = new ProtocolParser();
+  const buffer = Buffer.concat([hex("0102037878"), GT06_LOGIN]);
+
+  const found = decoder.detect(
+    buffer,
+    Object.keys(parser.parsers),
+    (frame, protocol) => parser.parseCandidate(frame, protocol)
+  );
+
+  assert.strictEqual(found.protocol, "gt06");
+  assert.strictEqual(found.offset, 5);
+  assert.strictEqual(found.length, GT06_LOGIN.length);
+  assert.strictEqual(found.result.data.imei, "123456789012345");
+});
+
+test("detect: incomplete candidate reports waiting", () => {
+  const decoder = new FrameDecoder();
+  const parser = new ProtocolParser();
+
+  const found = decoder.detect(
+    GT06_LOGIN.slice(0, 10),
+    Object.keys(parser.parsers),
+    (frame, protocol) => parser.parseCandidate(frame, protocol)
+  );
+
+  assert.strictEqual(found.protocol, null);
+  assert.strictEqual(found.waiting, true);
+});
+
+test("h02: binary frame extracted and stray '$' resynchronized", () => {
+  const decoder = new FrameDecoder();
+  const binary = hex(
+    "2441081001311454521008152240551806113583238E000090FFFFFBFF000000"
+  );
+  const garbage = Buffer.concat([Buffer.from("$"), Buffer.alloc(31, 0xff)]);
+
+  const result = decoder.extract(
+    Buffer.concat([garbage, H02_TEXT, binary]),
+    "h02"
+  );
+
+  assert.deepStrictEqual(result.frames, [H02_TEXT, binary]);
+  assert.strictEqual(result.dropped, garbage.length);
+});
@@ -0,0 +1,77 @@
+/**
+ * Montagem de frames de teste independente dos parsers (checksums e escape
+ * calculados aqui, para que os testes não validem o código com ele mesmo)
+ */
+
+const hex = (value) => Buffer.from(value.replace(/\s+/g, ""), "hex");
+
+/**
+ * CRC-ITU (X.25) do GT06
+ */
+function crcItu(data) {
+  let crc = 0xffff;
+  for (const byte of data) {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 1 ? (crc >>> 1) ^ 0x8408 : crc >>> 1;
+    }
+  }
+  return ~crc & 0xffff;
+}
+
+/**
+ * Frame GT06 curto (0x7878) com CRC válido
+ */
+function gt06Frame(protocolNumber, content, serial = 1) {
+  const body = Buffer.concat([
+    Buffer.from([content.length + 5, protocolNumber]),
+    content,
+    Buffer.from([serial >> 8, serial & 0xff]),
+  ]);
+  const crc = crcItu(body);
+
+  return Buffer.concat([
+    hex("7878"),
+    body,
+    Buffer.from([crc >> 8, crc & 0xff]),
+    hex("0d0a"),
+  ]);
+}
+
+/**
+ * Mensagem JT808 (versão 2013): cabeçalho + corpo + checksum XOR, com escape
+ * packet: { count, index } para subpacotes
+ */
+function jt808Frame(messageId, phone, serial, body, packet = null) {
+  const header = Buffer.alloc(packet ? 16 : 12);
+  header.writeUInt16BE(messageId, 0);
+  header.writeUInt16BE(body.length | (packet ? 0x2000 : 0), 2);
+  hex(phone.padStart(12, "0")).copy(header, 4);
+  header.writeUInt16BE(serial, 10);
+  if (packet) {
+    header.writeUInt16BE(packet.count, 12);
+    header.writeUInt16BE(packet.index, 14);
+  }
+
+  const content = Buffer.concat([header, body]);
+  const checksum = content.reduce((value, byte) => value ^ byte, 0);
+
+  const escaped = [];
+  for (const byte of Buffer.concat([content, Buffer.from([checksum])])) {
+    if (byte === 0x7e) {
+      escaped.push(0x7d, 0x02);
+    } else if (byte === 0x7d) {
+      escaped.push(0x7d, 0x01);
+    } else {
+      escaped.push(byte);
+    }
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x7e]),
+    Buffer.from(escaped),
+    Buffer.from([0x7e]),
+  ]);
+}
+
+module.exports = { hex, crcItu, gt06Frame, jt808Frame };
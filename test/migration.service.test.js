@@ -0,0 +1,70 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { MigrationService } = require("../services/migration.service");
+
+/**
+ * Banco falso com as versões informadas em schema_migrations
+ */
+function createDatabase(versions) {
+  return {
+    transactions: 0,
+    async query(sql) {
+      if (sql.includes("to_regclass")) {
+        return { rows: [{ name: "schema_migrations" }] };
+      }
+      return {
+        rows: versions.map((version) => ({
+          version,
+          applied_at: new Date(0),
+        })),
+      };
+    },
+    async transaction() {
+      this.transactions++;
+      return true;
+    },
+  };
+}
+
+function codeVersions() {
+  return new MigrationService({}).loadMigrations().map((m) => m.version);
+}
+
+test("checkSchema: accepts a database at the code version", async () => {
+  const versions = codeVersions();
+  const migrations = new MigrationService(createDatabase(versions));
+
+  assert.strictEqual(
+    await migrations.checkSchema(),
+    versions[versions.length - 1]
+  );
+});
+
+test("checkSchema: rejects pending migrations", async () => {
+  const migrations = new MigrationService(
+    createDatabase(codeVersions().slice(0, -1))
+  );
+
+  await assert.rejects(migrations.checkSchema(), /pending migrations/);
+});
+
+test("checkSchema: rejects versions newer than the code", async () => {
+  const migrations = new MigrationService(
+    createDatabase([...codeVersions(), 999])
+  );
+
+  await assert.rejects(migrations.checkSchema(), /newer than this code.*999/);
+});
+
+test("rollback: refuses the irreversible initial schema before any step", async () => {
+  const versions = codeVersions();
+  const database = createDatabase(versions);
+  const migrations = new MigrationService(database);
+
+  await assert.rejects(
+    migrations.rollback(versions.length),
+    /001_initial_schema is irreversible/
+  );
+  assert.strictEqual(database.transactions, 0);
+});
@@ -0,0 +1,317 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { ProtocolParser } = require("../protocol-parser");
+const { hex, gt06Frame, jt808Frame } = require("./helpers");
+
+/**
+ * Corpo JT808 0x0200: alarme(4) + status(4) + lat(4) + lon(4) + altitude(2) +
+ * velocidade(2) + curso(2) + data BCD(6)
+ */
+function jt808Location(latitude, longitude) {
+  const body = Buffer.alloc(28);
+  body.writeUInt32BE(0, 0);
+  body.writeUInt32BE(0x02, 4);
+  body.writeUInt32BE(latitude, 8);
+  body.writeUInt32BE(longitude, 12);
+  body.writeUInt16BE(760, 16);
+  body.writeUInt16BE(605, 18);
+  body.writeUInt16BE(90, 20);
+  hex("191009123456").copy(body, 22);
+  return body;
+}
+
+test("gt06: login with valid CRC", () => {
+  const parser = new ProtocolParser();
+  const result = parser.parse(hex("78780D01012345678901234500018CDD0D0A"));
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.protocol, "gt06");
+  assert.strictEqual(result.data.type, "login");
+  assert.strictEqual(result.data.imei, "123456789012345");
+});
+
+test("gt06: frame with bad CRC is rejected", () => {
+  const parser = new ProtocolParser();
+  const result = parser.parse(
+    hex("78780D01012345678901234500018CDE0D0A"),
+    "gt06"
+  );
+
+  assert.strictEqual(result.success, false);
+  assert.match(result.error, /CRC/);
+});
+
+test("gt06: GPS/LBS location", () => {
+  const parser = new ProtocolParser();
+  const frame = gt06Frame(
+    0x12,
+    hex("0B081D112E10CC027AC7EB0C46584900148F01CC00287D001FB8"),
+    3
+  );
+  const result = parser.parse(frame, "gt06");
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.data.type, "location");
+  assert.strictEqual(result.data.latitude.toFixed(6), "23.111668");
+  assert.strictEqual(result.data.longitude.toFixed(6), "114.409285");
+  assert.strictEqual(
+    result.data.timestamp.toISOString(),
+    "2011-08-29T17:46:16.000Z"
+  );
+  assert.ok(result.data.position);
+});
+
+test("teltonika: IMEI handshake", () => {
+  const parser = new ProtocolParser();
+  const result = parser.parse(hex("000F333536333037303432343431303133"));
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.protocol, "teltonika");
+  assert.strictEqual(result.data.type, "login");
+  assert.strictEqual(result.data.imei, "356307042441013");
+});
+
+test("teltonika: Codec 8 AVL packet", () => {
+  const parser = new ProtocolParser();
+  const result = parser.parse(
+    hex(
+      "000000000000003608010000016B40D8EA30010000000000000000000000000000000105021503010101425E0F01F10000601A014E0000000000000000010000C7CF"
+    ),
+    "teltonika"
+  );
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.data.type, "batch");
+  assert.strictEqual(result.data.codec, 0x08);
+  assert.deepStrictEqual(result.data.needsResponse, hex("00000001"));
+
+  const [record] = result.data.records;
+  assert.strictEqual(
+    record.timestamp.toISOString(),
+    "2019-06-10T10:04:46.000Z"
+  );
+  assert.deepStrictEqual(record.io, {
+    1: 1,
+    21: 3,
+    66: 24079,
+    78: 0,
+    241: 24602,
+  });
+});
+
+test("teltonika: Codec 8E AVL packet with 2-byte IO ids", () => {
+  const parser = new ProtocolParser();
+  const result = parser.parse(
+    hex(
+      "000000000000004A8E010000016B412CEE000100000000000000000000000000000000010005000100010100010011001D00010010015E2C880002000B000000003544C87A000E000000001DD7E06A00000100002994"
+    ),
+    "teltonika"
+  );
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.data.codec, 0x8e);
+  assert.deepStrictEqual(result.data.records[0].io, {
+    1: 1,
+    11: 893700218,
+    14: 500686954,
+    16: 22949000,
+    17: 29,
+  });
+});
+
+test("teltonika: AVL packet with bad CRC is rejected", () => {
+  const parser = new ProtocolParser();
+  const result = parser.parse(
+    hex(
+      "000000000000003608010000016B40D8EA30010000000000000000000000000000000105021503010101425E0F01F10000601A014E0000000000000000010000C7CE"
+    ),
+    "teltonika"
+  );
+
+  assert.strictEqual(result.success, false);
+});
+
+test("jt808: location with 0x7E and 0x7D escaped in the body", () => {
+  const parser = new ProtocolParser();
+  // Latitude 0x017E7D00 contém os dois bytes reservados
+  const body = jt808Location(0x017e7d00, 113970000);
+  const frame = jt808Frame(0x0200, "013912345678", 7, body);
+
+  assert.ok(frame.includes(hex("7d02")));
+  assert.ok(frame.includes(hex("7d01")));
+
+  const result = parser.parse(frame);
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.protocol, "jt808");
+  assert.strictEqual(result.bytesProcessed, frame.length);
+  assert.strictEqual(result.data.type, "location");
+  assert.strictEqual(result.data.imei, "013912345678");
+  assert.strictEqual(result.data.serial, 7);
+  assert.strictEqual(result.data.latitude, 25.066752);
+  assert.strictEqual(result.data.longitude, 113.97);
+  assert.strictEqual(result.data.speed, 60.5);
+  assert.strictEqual(
+    result.data.timestamp.toISOString(),
+    "2019-10-09T04:34:56.000Z"
+  );
+});
+
+test("jt808: frame with bad checksum is rejected", () => {
+  const parser = new ProtocolParser();
+  const frame = jt808Frame(
+    0x0200,
+    "013912345678",
+    7,
+    jt808Location(22500000, 113970000)
+  );
+  frame[frame.length - 2] ^= 0x01;
+
+  const result = parser.parse(frame, "jt808");
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.error, "Invalid checksum");
+});
+
+test("jt808: subpackages are reassembled into one message", () => {
+  const parser = new ProtocolParser();
+  const body = jt808Location(22500000, 113970000);
+
+  const first = parser.parse(
+    jt808Frame(0x0200, "013912345678", 10, body.slice(0, 12), {
+      count: 2,
+      index: 1,
+    }),
+    "jt808"
+  );
+  assert.strictEqual(first.success, true);
+  assert.strictEqual(first.data.type, "fragment");
+  assert.ok(first.data.needsResponse);
+
+  const second = parser.parse(
+    jt808Frame(0x0200, "013912345678", 11, body.slice(12), {
+      count: 2,
+      index: 2,
+    }),
+    "jt808"
+  );
+  assert.strictEqual(second.success, true);
+  assert.strictEqual(second.data.type, "location");
+  assert.strictEqual(second.data.latitude, 22.5);
+  assert.strictEqual(second.data.longitude, 113.97);
+});
+
+test("jt808: escape round trip", () => {
+  const jt808 = new ProtocolParser().parsers.jt808;
+  const raw = hex("307e087d557e");
+
+  assert.deepStrictEqual(jt808.escape(raw), hex("307d02087d01557d02"));
+  assert.deepStrictEqual(jt808.unescape(jt808.escape(raw)), raw);
+});
+
+test("h02: text location", () => {
+  const parser = new ProtocolParser();
+  const result = parser.parse(
+    Buffer.from(
+      "*HQ,865205030330012,V1,145452,A,2240.55181,N,11358.32389,E,0.00,0,100815,FFFFFBFF#"
+    )
+  );
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.protocol, "h02");
+  assert.strictEqual(result.data.imei, "865205030330012");
+  assert.strictEqual(result.data.latitude.toFixed(5), "22.67586");
+  assert.strictEqual(result.data.longitude.toFixed(5), "113.97206");
+  assert.strictEqual(
+    result.data.timestamp.toISOString(),
+    "2015-08-10T14:54:52.000Z"
+  );
+});
+
+test("tk103: login, heartbeat and position lines", () => {
+  const parser = new ProtocolParser();
+
+  const login = parser.parse(Buffer.from("##,imei:359710049095095,A;"));
+  assert.strictEqual(login.protocol, "tk103");
+  assert.strictEqual(login.data.type, "login");
+  assert.strictEqual(login.data.imei, "359710049095095");
+
+  const heartbeat = parser.parse(Buffer.from("359710049095095;"), "tk103");
+  assert.strictEqual(heartbeat.success, true);
+  assert.strictEqual(heartbeat.data.type, "heartbeat");
+
+  const position = parser.parse(
+    Buffer.from(
+      "imei:359710049095095,tracker,1101010000,,F,000000.000,A,2234.0297,N,11405.9101,E,0.00,;"
+    )
+  );
+  assert.strictEqual(position.protocol, "tk103");
+  assert.strictEqual(position.data.type, "location");
+  assert.strictEqual(position.data.latitude.toFixed(6), "22.567162");
+});
+
+test("gps303: extended position is detected as gps303", () => {
+  const parser = new ProtocolParser();
+  const result = parser.parse(
+    Buffer.from(
+      "imei:359710049095095,tracker,1101010000,,F,000000.000,A,2234.0297,N,11405.9101,E,0.00,0,120.5,1,0,45%,,23;"
+    )
+  );
+
+  assert.strictEqual(result.protocol, "gps303");
+  assert.strictEqual(result.data.altitude, 120.5);
+  assert.strictEqual(result.data.fuel1, 45);
+  assert.strictEqual(result.data.temperature, 23);
+});
+
+test("gps303: extended position parsed with the tk103 lock is upgraded", () => {
+  const parser = new ProtocolParser();
+  const result = parser.parse(
+    Buffer.from(
+      "imei:359710049095095,tracker,1101010000,,F,000000.000,A,2234.0297,N,11405.9101,E,0.00,0,120.5,1,0,45%,,23;"
+    ),
+    "tk103"
+  );
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.protocol, "gps303");
+  assert.strictEqual(result.data.altitude, 120.5);
+  assert.ok(result.data.position);
+});
+
+test("h02: binary location and invalid BCD fields", () => {
+  const parser = new ProtocolParser();
+  const frame = hex(
+    "2441081001311454521008152240551806113583238E000090FFFFFBFF000000"
+  );
+
+  const result = parser.parse(frame, "h02");
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.data.imei, "4108100131");
+  assert.strictEqual(result.data.latitude.toFixed(5), "22.67586");
+  assert.strictEqual(result.data.longitude.toFixed(5), "113.97206");
+  assert.strictEqual(result.data.course, 90);
+  assert.strictEqual(
+    result.data.timestamp.toISOString(),
+    "2015-08-10T14:54:52.000Z"
+  );
+
+  const badDigit = Buffer.from(frame);
+  badDigit[3] = 0x1a;
+  assert.strictEqual(
+    parser.parse(badDigit, "h02").error,
+    "Invalid H02 BCD digit"
+  );
+
+  const badDate = Buffer.from(frame);
+  badDate[10] = 0x13; // mês 13
+  assert.strictEqual(parser.parse(badDate, "h02").error, "Invalid H02 date");
+
+  const badLatitude = Buffer.from(frame);
+  badLatitude[12] = 0x91;
+  assert.strictEqual(
+    parser.parse(badLatitude, "h02").error,
+    "Invalid H02 latitude"
+  );
+});
@@ -0,0 +1,153 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { TCPServer } = require("../tcp-server");
+const { ProtocolParser } = require("../protocol-parser");
+const { FrameDecoder } = require("../frame-decoder");
+const { AdmissionControl } = require("../admission-control");
+const { Logger } = require("../utils/logger");
+
+const LOGIN = "##,imei:359710049095095,A;";
+const HEARTBEAT = "359710049095095;";
+const EXTENDED_POSITION =
+  "imei:359710049095095,tracker,1101010000,,F,000000.000,A,2234.0297,N,11405.9101,E,0.00,0,120.5,1,0,45%,,23;";
+
+/**
+ * Servidor só com o necessário para extrair mensagens (o construtor completo
+ * cria serviços e timers que manteriam o processo de teste ativo)
+ */
+function createServer() {
+  return Object.assign(Object.create(TCPServer.prototype), {
+    logger: new Logger("TEST"),
+    parser: new ProtocolParser(),
+    frameDecoder: new FrameDecoder(),
+    deviceProtocols: new Map(),
+  });
+}
+
+/**
+ * Conexão TCP mínima para a extração de mensagens (sem socket real)
+ */
+function createConnection(protocol = null) {
+  return {
+    protocol,
+    datagram: false,
+    imei: null,
+    buffer: Buffer.alloc(0),
+    socket: { remoteAddress: "127.0.0.1", remotePort: 40000 },
+    listener: { stats: { bytesDropped: 0 } },
+  };
+}
+
+function receive(server, connection, text) {
+  connection.buffer = Buffer.concat([connection.buffer, Buffer.from(text)]);
+  return server.extractMessages(connection);
+}
+
+test("gps303: login locks tk103 and the extended position upgrades it", () => {
+  const server = createServer();
+  const connection = createConnection();
+
+  const [login] = receive(server, connection, LOGIN);
+  assert.strictEqual(login.protocol, "tk103");
+  assert.strictEqual(connection.protocol, "tk103");
+  connection.imei = login.data.imei;
+
+  const [position] = receive(server, connection, EXTENDED_POSITION);
+  assert.strictEqual(position.success, true);
+  assert.strictEqual(position.protocol, "gps303");
+  assert.strictEqual(position.data.altitude, 120.5);
+  assert.strictEqual(position.data.fuel1, 45);
+  assert.strictEqual(position.data.temperature, 23);
+  assert.strictEqual(connection.protocol, "gps303");
+  assert.strictEqual(server.deviceProtocols.get(connection.imei), "gps303");
+
+  const [heartbeat] = receive(server, connection, HEARTBEAT);
+  assert.strictEqual(heartbeat.protocol, "gps303");
+  assert.strictEqual(heartbeat.data.type, "heartbeat");
+});
+
+test("gps303: fixed tk103 port upgrades within one chunk", () => {
+  const server = createServer();
+  const connection = createConnection("tk103");
+
+  const results = receive(server, connection, LOGIN + EXTENDED_POSITION);
+
+  assert.deepStrictEqual(
+    results.map((result) => result.protocol),
+    ["tk103", "gps303"]
+  );
+  assert.strictEqual(connection.protocol, "gps303");
+});
+
+test("tk103: plain positions keep the tk103 lock", () => {
+  const server = createServer();
+  const connection = createConnection();
+
+  receive(server, connection, LOGIN);
+  const [position] = receive(
+    server,
+    connection,
+    "imei:359710049095095,tracker,1101010000,,F,000000.000,A,2234.0297,N,11405.9101,E,0.00,;"
+  );
+
+  assert.strictEqual(position.protocol, "tk103");
+  assert.strictEqual(connection.protocol, "tk103");
+});
+
+test("rate limit: bans the IP only before authentication", () => {
+  const server = createServer();
+  server.admission = new AdmissionControl();
+
+  const device = createConnection("gt06");
+  device.authenticated = true;
+  device.imei = "123456789012345";
+  device.socket.destroy = () => (device.socket.destroyed = true);
+  server.handleRateLimitExceeded(device);
+
+  assert.strictEqual(device.socket.destroyed, true);
+  assert.strictEqual(device.disconnectReason, "rate_limited");
+  assert.strictEqual(server.admission.isBanned("127.0.0.1"), false);
+
+  const anonymous = createConnection();
+  anonymous.socket.destroy = () => (anonymous.socket.destroyed = true);
+  server.handleRateLimitExceeded(anonymous);
+
+  assert.strictEqual(anonymous.socket.destroyed, true);
+  assert.strictEqual(server.admission.isBanned("127.0.0.1"), true);
+});
+
+test("commands: unacknowledged commands are not re-queued on disconnect", async () => {
+  const server = createServer();
+  const statuses = [];
+  server.updateCommandStatus = async (connection, entry, status) =>
+    statuses.push([entry.commandId, status]);
+
+  const connection = createConnection("gt06");
+  connection.inflightCommands = new Map([
+    [1, { commandId: 10, command: "engine_stop", timer: null }],
+  ]);
+
+  await server.releaseInflightCommands(connection);
+
+  assert.deepStrictEqual(statuses, [[10, "sent_unconfirmed"]]);
+  assert.strictEqual(connection.inflightCommands.size, 0);
+});
+
+test("teltonika: unknown IMEI receives 0x00 before the connection closes", async () => {
+  const server = createServer();
+  server.tlsCredentials = null;
+  server.database = { provisioningPolicy: "reject" };
+  server.deviceCache = { get: async () => null };
+
+  const written = [];
+  const connection = createConnection("teltonika");
+  connection.socket.write = (data) => written.push(data);
+  connection.socket.destroy = () => (connection.socket.destroyed = true);
+
+  await server.authenticateDevice(connection, "356307042441013");
+
+  assert.deepStrictEqual(written, [Buffer.from([0x00])]);
+  assert.strictEqual(connection.socket.destroyed, true);
+  assert.strictEqual(connection.authenticated, undefined);
+});
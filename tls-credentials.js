@@ -0,0 +1,130 @@
+const fs = require("fs");
+
+/**
+ * Credenciais do listener TLS
+ * Lê certificado, chave, CA e fingerprints fixados por dispositivo a partir
+ * de arquivos, permitindo recarregar tudo sem reiniciar o servidor
+ */
+class TlsCredentials {
+  /**
+   * options.certFile / options.keyFile: certificado e chave do servidor (PEM)
+   * options.caFile: CA para validar certificados de cliente (opcional)
+   * options.pinnedCertsFile: JSON { "<imei>": "<fingerprint SHA-256>" } (opcional)
+   * options.requireClientCert: recusar o handshake sem certificado de cliente válido
+   */
+  constructor(options = {}) {
+    if (!options.certFile || !options.keyFile) {
+      throw new Error("TLS listener requires certFile and keyFile");
+    }
+
+    this.certFile = options.certFile;
+    this.keyFile = options.keyFile;
+    this.caFile = options.caFile || null;
+    this.pinnedCertsFile = options.pinnedCertsFile || null;
+    this.requireClientCert = Boolean(options.requireClientCert);
+
+    this.secureContextOptions = null;
+    this.pinnedCerts = new Map(); // Map<imei, fingerprint normalizado>
+
+    this.load();
+  }
+
+  /**
+   * Ler os arquivos configurados
+   * Lança erro se algum arquivo for inválido, mantendo as credenciais atuais
+   */
+  load() {
+    const secureContextOptions = {
+      cert: fs.readFileSync(this.certFile),
+      key: fs.readFileSync(this.keyFile),
+    };
+
+    if (this.caFile) {
+      secureContextOptions.ca = fs.readFileSync(this.caFile);
+    }
+
+    const pinnedCerts = new Map();
+    if (this.pinnedCertsFile) {
+      const pins = JSON.parse(fs.readFileSync(this.pinnedCertsFile, "utf8"));
+      for (const [imei, fingerprint] of Object.entries(pins)) {
+        pinnedCerts.set(imei, TlsCredentials.normalizeFingerprint(fingerprint));
+      }
+    }
+
+    this.secureContextOptions = secureContextOptions;
+    this.pinnedCerts = pinnedCerts;
+  }
+
+  /**
+   * Opções para tls.createServer
+   * O certificado de cliente é sempre solicitado (fingerprints adicionados
+   * no reload valem para novas conexões) e validado após o handshake
+   */
+  getServerOptions() {
+    return {
+      ...this.secureContextOptions,
+      requestCert: true,
+      rejectUnauthorized: false,
+    };
+  }
+
+  /**
+   * Verificar o certificado de cliente após o handshake
+   * Com requireClientCert, exige certificado válido para a CA configurada
+   * Retorna { allowed, reason }
+   */
+  verifyClient(socket) {
+    if (this.requireClientCert && !socket.authorized) {
+      return {
+        allowed: false,
+        reason: socket.authorizationError
+          ? String(socket.authorizationError)
+          : "missing client certificate",
+      };
+    }
+
+    return { allowed: true, reason: null };
+  }
+
+  /**
+   * Verificar o certificado de cliente de um dispositivo com fingerprint fixado
+   * Dispositivos fixados só são aceitos via TLS com o certificado esperado
+   * Retorna { allowed, reason }
+   */
+  verifyDevice(imei, socket) {
+    const expected = this.pinnedCerts.get(imei);
+
+    if (!expected) {
+      return { allowed: true, reason: null };
+    }
+
+    if (typeof socket.getPeerCertificate !== "function") {
+      return { allowed: false, reason: "pinned device without TLS" };
+    }
+
+    const certificate = socket.getPeerCertificate();
+    if (!certificate || !certificate.fingerprint256) {
+      return { allowed: false, reason: "missing client certificate" };
+    }
+
+    if (
+      TlsCredentials.normalizeFingerprint(certificate.fingerprint256) !==
+      expected
+    ) {
+      return { allowed: false, reason: "client certificate mismatch" };
+    }
+
+    return { allowed: true, reason: null };
+  }
+
+  /**
+   * Fingerprint em hexadecimal maiúsculo, sem separadores
+   */
+  static normalizeFingerprint(fingerprint) {
+    return String(fingerprint)
+      .replace(/[^0-9a-fA-F]/g, "")
+      .toUpperCase();
+  }
+}
+
+module.exports = { TlsCredentials };
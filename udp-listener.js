@@ -0,0 +1,257 @@
+const dgram = require("dgram");
+const { Logger } = require("./utils/logger");
+
+/**
+ * Listener UDP para dispositivos que enviam dados por datagramas
+ * Cada dispositivo recebe uma "sessão virtual" que imita uma conexão TCP,
+ * permitindo reutilizar os handlers do TCPServer
+ */
+class UDPListener {
+  /**
+   * server: instância do TCPServer (handlers de dados e comandos)
+   * protocol = null mantém a detecção automática
+   */
+  constructor(server, port, host = "0.0.0.0", protocol = null, options = {}) {
+    this.server = server;
+    this.port = port;
+    this.host = host;
+    this.protocol = protocol;
+    this.transport = "udp";
+    this.sessionTtl = options.sessionTtl || 300000; // 5 minutos
+
+    this.sessions = new Map(); // Map<imei, sessão virtual>
+    this.sessionsByAddress = new Map(); // Map<endereço:porta, sessão virtual>
+    this.rates = new Map(); // Map<IP, janela de taxa compartilhada pelas sessões>
+    this.sweepInterval = null;
+
+    this.stats = {
+      totalConnections: 0,
+      activeConnections: 0,
+      messagesReceived: 0,
+      bytesReceived: 0,
+      bytesDropped: 0,
+    };
+
+    this.logger = new Logger("UDP-LISTENER");
+    this.socket = dgram.createSocket("udp4");
+    this.setupSocket();
+  }
+
+  /**
+   * Configurar eventos do socket UDP
+   */
+  setupSocket() {
+    this.socket.on("message", (message, remote) =>
+      this.handleMessage(message, remote)
+    );
+    this.socket.on("error", (error) => {
+      this.logger.error(`UDP listener error on port ${this.port}:`, error);
+    });
+    this.socket.on("listening", () => {
+      this.logger.info(
+        `UDP listener on ${this.host}:${this.port} (${this.protocol || "auto"})`
+      );
+    });
+  }
+
+  /**
+   * Iniciar listener e verificação de sessões expiradas
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.socket.once("error", reject);
+      this.socket.bind(this.port, this.host, () => {
+        this.socket.removeListener("error", reject);
+        this.sweepInterval = setInterval(
+          () => this.expireSessions(),
+          Math.min(this.sessionTtl, 60000)
+        );
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Processar datagrama recebido
+   */
+  async handleMessage(message, remote) {
+    const address = `${remote.address}:${remote.port}`;
+    let session = this.sessionsByAddress.get(address);
+
+    if (!session) {
+      // Mesmo controle de admissão das conexões TCP, por IP de origem
+      const admission = this.server.admission.admit(remote.address);
+      if (!admission.allowed) {
+        this.logger.warn(
+          `Datagram from ${address} on port ${this.port} rejected (${admission.reason})`
+        );
+        this.stats.bytesDropped += message.length;
+        return;
+      }
+
+      session = this.createSession(remote);
+    }
+
+    session.lastSeen = new Date();
+
+    // Datagramas da mesma sessão processados em ordem de chegada
+    session.queue = session.queue.then(async () => {
+      if (session.socket.destroyed) {
+        return;
+      }
+
+      // Cada datagrama é uma mensagem completa
+      session.buffer = Buffer.alloc(0);
+
+      try {
+        await this.server.handleDeviceData(session, message);
+        this.registerSession(session);
+      } catch (error) {
+        this.logger.error(`Error processing datagram from ${address}:`, error);
+      }
+    });
+
+    await session.queue;
+  }
+
+  /**
+   * Criar sessão virtual com a mesma forma de uma conexão TCP
+   */
+  createSession(remote) {
+    let rate = this.rates.get(remote.address);
+    if (!rate) {
+      rate = { windowStart: Date.now(), count: 0, sessions: 0 };
+      this.rates.set(remote.address, rate);
+    }
+    rate.sessions++;
+
+    const session = {
+      listener: this,
+      imei: null,
+      protocol: this.protocol,
+      authenticated: false,
+      lastSeen: new Date(),
+      buffer: Buffer.alloc(0),
+      datagram: true, // sem framing de fluxo
+      disconnected: false,
+      inflightCommands: new Map(),
+      address: `${remote.address}:${remote.port}`,
+      rate, // Limite de mensagens por IP de origem
+      queue: Promise.resolve(),
+    };
+
+    // Socket virtual: respostas e comandos vão para o último endereço conhecido
+    session.socket = {
+      remoteAddress: remote.address,
+      remotePort: remote.port,
+      destroyed: false,
+      write: (data) => {
+        this.socket.send(
+          data,
+          session.socket.remotePort,
+          session.socket.remoteAddress,
+          (error) => {
+            if (error) {
+              this.logger.error(
+                `Failed to send datagram to ${session.address}:`,
+                error
+              );
+            }
+          }
+        );
+        return true;
+      },
+      destroy: () => this.closeSession(session),
+    };
+
+    this.sessionsByAddress.set(session.address, session);
+    this.stats.totalConnections++;
+    this.stats.activeConnections = this.sessionsByAddress.size;
+
+    return session;
+  }
+
+  /**
+   * Associar sessão ao IMEI, substituindo a sessão de um endereço anterior
+   */
+  registerSession(session) {
+    if (!session.imei || session.socket.destroyed) {
+      return;
+    }
+
+    const previous = this.sessions.get(session.imei);
+    this.sessions.set(session.imei, session);
+
+    // Sessão do endereço anterior encerrada sem o fluxo de desconexão
+    if (previous && previous !== session) {
+      this.closeSession(previous);
+    }
+  }
+
+  /**
+   * Dispositivo mudou de endereço (ex: NAT da operadora): a sessão do novo
+   * endereço assume o IMEI
+   */
+  moveSession(previous, session) {
+    this.logger.info(
+      `Device ${session.imei} moved from ${previous.address} to ${session.address}`
+    );
+    this.registerSession(session);
+  }
+
+  /**
+   * Encerrar sessão virtual e executar o fluxo normal de desconexão
+   */
+  closeSession(session) {
+    if (session.socket.destroyed) {
+      return;
+    }
+
+    session.socket.destroyed = true;
+    this.sessionsByAddress.delete(session.address);
+    this.server.admission.release(session.socket.remoteAddress);
+
+    session.rate.sessions--;
+    if (session.rate.sessions === 0) {
+      this.rates.delete(session.socket.remoteAddress);
+    }
+
+    if (session.imei && this.sessions.get(session.imei) === session) {
+      this.sessions.delete(session.imei);
+      this.server.handleDisconnection(session);
+    }
+
+    this.stats.activeConnections = this.sessionsByAddress.size;
+  }
+
+  /**
+   * Expirar sessões sem datagramas dentro do TTL
+   */
+  expireSessions() {
+    const now = Date.now();
+
+    for (const session of Array.from(this.sessionsByAddress.values())) {
+      if (now - session.lastSeen.getTime() > this.sessionTtl) {
+        this.logger.info(
+          `UDP session expired for ${session.imei || session.address}`
+        );
+        this.closeSession(session);
+      }
+    }
+  }
+
+  /**
+   * Parar listener
+   */
+  stop() {
+    clearInterval(this.sweepInterval);
+
+    for (const session of Array.from(this.sessionsByAddress.values())) {
+      this.closeSession(session);
+    }
+
+    return new Promise((resolve) => this.socket.close(() => resolve()));
+  }
+}
+
+module.exports = { UDPListener };
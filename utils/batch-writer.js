@@ -0,0 +1,92 @@
+/**
+ * Acumulador de inserts em lote
+ * Registros são gravados juntos quando o lote atinge maxSize ou após
+ * flushInterval (ms) desde o primeiro registro pendente
+ */
+class BatchWriter {
+  /**
+   * writeBatch: async (rows) => resultados na mesma ordem dos registros
+   */
+  constructor(writeBatch, options = {}) {
+    this.writeBatch = writeBatch;
+    this.maxSize = options.maxSize || 500;
+    this.flushInterval = options.flushInterval || 250;
+
+    this.pending = []; // [{ row, resolve, reject }]
+    this.timer = null;
+    this.flushing = Promise.resolve(); // Lotes são gravados em sequência
+  }
+
+  /**
+   * Adicionar registro ao lote
+   * Retorna uma Promise resolvida com o resultado do registro após a gravação
+   */
+  add(row) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ row, resolve, reject });
+
+      if (this.pending.length >= this.maxSize) {
+        this.flush();
+      } else if (!this.timer) {
+        this.timer = setTimeout(() => this.flush(), this.flushInterval);
+      }
+    });
+  }
+
+  /**
+   * Gravar os registros pendentes
+   * Retorna uma Promise resolvida quando todos os lotes anteriores terminarem
+   */
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    if (this.pending.length > 0) {
+      const entries = this.pending;
+      this.pending = [];
+      this.flushing = this.flushing.then(() => this.write(entries));
+    }
+
+    return this.flushing;
+  }
+
+  /**
+   * Gravar um lote; se falhar, gravar registro a registro para que um
+   * registro inválido não descarte os demais
+   */
+  async write(entries) {
+    try {
+      const results = await this.writeBatch(entries.map((entry) => entry.row));
+      entries.forEach((entry, index) => entry.resolve(results[index]));
+      return;
+    } catch (error) {
+      if (entries.length === 1) {
+        entries[0].reject(error);
+        return;
+      }
+
+      console.error(
+        `Batch insert of ${entries.length} rows failed, retrying individually:`,
+        error.message
+      );
+    }
+
+    for (const entry of entries) {
+      try {
+        const [result] = await this.writeBatch([entry.row]);
+        entry.resolve(result);
+      } catch (error) {
+        entry.reject(error);
+      }
+    }
+  }
+
+  /**
+   * Registros aguardando gravação
+   */
+  get size() {
+    return this.pending.length;
+  }
+}
+
+module.exports = { BatchWriter };
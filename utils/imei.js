@@ -0,0 +1,54 @@
+/**
+ * Validação de identificadores de dispositivos
+ * IMEI de 15 dígitos deve ter o dígito verificador Luhn correto; demais
+ * protocolos usam identificadores numéricos sem dígito verificador
+ * (H02 binário com 10 dígitos, telefone BCD do JT808 com 12 ou 20)
+ */
+
+const IMEI_LENGTH = 15;
+const MIN_ID_LENGTH = 10;
+const MAX_ID_LENGTH = 20;
+
+/**
+ * Verificar o dígito verificador Luhn de uma sequência numérica
+ */
+function luhnCheck(digits) {
+  let sum = 0;
+
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+
+    // Dobrar um dígito sim, outro não, a partir do penúltimo
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+
+    sum += digit;
+  }
+
+  return sum % 10 === 0;
+}
+
+/**
+ * Verificar se o identificador pode ser cadastrado como dispositivo
+ */
+function isValidImei(imei) {
+  if (typeof imei !== "string" || !/^\d+$/.test(imei)) {
+    return false;
+  }
+
+  if (/^0+$/.test(imei)) {
+    return false;
+  }
+
+  if (imei.length === IMEI_LENGTH) {
+    return luhnCheck(imei);
+  }
+
+  return imei.length >= MIN_ID_LENGTH && imei.length <= MAX_ID_LENGTH;
+}
+
+module.exports = { isValidImei, luhnCheck };